@@ -1,10 +1,23 @@
 import express from 'express';
 import helmet from 'helmet';
-import { productCatalogRoutes } from './routes/productCatalogRoutes.js';
-import { inventoryRoutes } from './routes/inventoryRoutes.js';
+import { productCatalogRoutes } from './routes/ProductCatalogRoutes.js';
+import { inventoryRoutes } from './routes/InventoryRoutes.js';
 import { storeRoutes } from './routes/storeRoutes.js';
 import { authRoutes } from './routes/authRoutes.js';
+import { supplierRoutes } from './routes/supplierRoutes.js';
+import { purchaseOrderRoutes } from './routes/purchaseOrderRoutes.js';
+import { transferRoutes } from './routes/transferRoutes.js';
+import { reservationRoutes } from './routes/reservationRoutes.js';
+import { cycleCountRoutes } from './routes/cycleCountRoutes.js';
+import { reconciliationRoutes } from './routes/reconciliationRoutes.js';
+import { categoryRoutes } from './routes/categoryRoutes.js';
+import { auditRoutes } from './routes/auditRoutes.js';
 import { authenticate, limiter } from './middleware/auth.js';
+import { auditWrites } from './middleware/audit.js';
+import { migrator } from './config/migrator.js';
+import { startReservationExpiryJob } from './jobs/reservationExpiry.js';
+import { startInventorySnapshotJob } from './jobs/inventorySnapshot.js';
+import { startLedgerReconciliationJob } from './jobs/ledgerReconciliation.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,17 +31,57 @@ app.use(limiter);
 // Public routes
 app.use('/api/auth', authRoutes);
 
+// Writes below here are audited (auth routes record their own entries)
+app.use(auditWrites());
+
 // Protected routes
 app.use('/api/catalog', authenticate, productCatalogRoutes);
+app.use('/api/categories', authenticate, categoryRoutes);
 app.use('/api/inventory', authenticate, inventoryRoutes);
 app.use('/api/stores', authenticate, storeRoutes);
+app.use('/api/suppliers', authenticate, supplierRoutes);
+app.use('/api/purchase-orders', authenticate, purchaseOrderRoutes);
+app.use('/api/transfers', authenticate, transferRoutes);
+app.use('/api/reservations', authenticate, reservationRoutes);
+app.use('/api/cycle-counts', authenticate, cycleCountRoutes);
+app.use('/api/reconciliation', authenticate, reconciliationRoutes);
+app.use('/api/audit-log', authenticate, auditRoutes);
 
 
 app.use((error, req, res, next) => {
     console.error(`[${new Date().toISOString()}] Error: ${error.message}`);
-    res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error' });
+
+    // A streamed export failed part-way; let Express close the connection
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    res.status(error.statusCode || 500).json({
+        error: error.message || 'Internal server error',
+        ...error.details
+    });
 });
 
-app.listen(PORT, () =>
-    console.log(`Server running on port ${PORT}`)
-);
\ No newline at end of file
+// Refuse to start against a database whose schema is behind the code
+const startServer = async () => {
+    const pending = await migrator.pending();
+
+    if (pending.length > 0) {
+        console.error(`${pending.length} pending migration(s). Run "npm run migrate up" before starting the server.`);
+        process.exit(1);
+    }
+
+    app.listen(PORT, () =>
+        console.log(`Server running on port ${PORT}`)
+    );
+
+    // Background jobs
+    startReservationExpiryJob();
+    startInventorySnapshotJob();
+    startLedgerReconciliationJob();
+};
+
+startServer().catch(error => {
+    console.error(`Failed to start server: ${error.message}`);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+import { readdir } from 'fs/promises';
+import { db } from './database.js';
+
+const MIGRATIONS_DIR = new URL('../migrations/', import.meta.url);
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key for pg_advisory_xact_lock so two processes never migrate at once
+const MIGRATION_LOCK_KEY = 7239041;
+
+/**
+ * Create the tracking table if this database has never been migrated
+ */
+async function ensureMigrationsTable() {
+    await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Load migration modules from disk, ordered by version number
+ */
+async function loadMigrations() {
+    const files = await readdir(MIGRATIONS_DIR);
+    const migrations = [];
+
+    for (const file of files) {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) continue;
+
+        const module = await import(new URL(file, MIGRATIONS_DIR));
+
+        if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+            throw new Error(`Migration ${file} must export up() and down() functions`);
+        }
+
+        migrations.push({
+            version: parseInt(match[1]),
+            name: match[2],
+            up: module.up,
+            down: module.down
+        });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+}
+
+/**
+ * Get applied migration versions
+ */
+async function getAppliedVersions() {
+    await ensureMigrationsTable();
+    const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return new Set(result.rows.map(row => row.version));
+}
+
+export const migrator = {
+    /**
+     * List every known migration with its applied state
+     */
+    async status() {
+        await ensureMigrationsTable();
+
+        const migrations = await loadMigrations();
+        const applied = await db.query('SELECT version, applied_at FROM schema_migrations');
+        const appliedAt = new Map(applied.rows.map(row => [row.version, row.applied_at]));
+
+        return migrations.map(({ version, name }) => ({
+            version,
+            name,
+            applied: appliedAt.has(version),
+            applied_at: appliedAt.get(version) || null
+        }));
+    },
+
+    /**
+     * Get migrations that have not been applied yet
+     */
+    async pending() {
+        const applied = await getAppliedVersions();
+        const migrations = await loadMigrations();
+        return migrations.filter(migration => !applied.has(migration.version));
+    },
+
+    /**
+     * Apply all pending migrations, each in its own transaction
+     */
+    async up() {
+        const pending = await this.pending();
+        const appliedNow = [];
+
+        for (const migration of pending) {
+            await db.transaction(async (client) => {
+                await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+                // Another process may have applied it while we waited for the lock
+                const check = await client.query(
+                    'SELECT version FROM schema_migrations WHERE version = $1',
+                    [migration.version]
+                );
+                if (check.rows.length > 0) return;
+
+                await migration.up(client);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                appliedNow.push(migration);
+            });
+        }
+
+        return appliedNow;
+    },
+
+    /**
+     * Revert the most recently applied migrations (one by default)
+     */
+    async down(steps = 1) {
+        const applied = await getAppliedVersions();
+        const migrations = await loadMigrations();
+        const toRevert = migrations
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            await db.transaction(async (client) => {
+                await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+                await migration.down(client);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            });
+        }
+
+        return toRevert;
+    }
+};
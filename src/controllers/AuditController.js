@@ -0,0 +1,119 @@
+import { db } from '../config/database.js';
+import { decodeCursor, encodeCursor } from '../utils/cursor.js';
+import { HttpError } from '../utils/HttpError.js';
+
+export const AuditController = {
+    /**
+     * Search the audit log, newest first. Filters: entityType, entityId, userId, action,
+     * storeId, startDate and endDate. Pages with the opaque cursor from the previous page.
+     */
+    async getAuditLog(req, res, next) {
+        try {
+            const {
+                limit = 50,
+                cursor,
+                entityType,
+                entityId,
+                userId,
+                action,
+                storeId,
+                startDate,
+                endDate
+            } = req.query;
+
+            if (isNaN(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > 500) {
+                return res.status(400).json({ error: 'Limit must be a number from 1 to 500' });
+            }
+
+            if ((userId && isNaN(parseInt(userId))) || (storeId && isNaN(parseInt(storeId)))) {
+                return res.status(400).json({ error: 'User and store IDs must be numbers' });
+            }
+
+            if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+                return res.status(400).json({ error: 'Start and end dates must be valid dates' });
+            }
+
+            if (entityId && !entityType) {
+                return res.status(400).json({ error: 'entityType is required when filtering by entityId' });
+            }
+
+            let params = [];
+            let whereConditions = [];
+
+            if (entityType) {
+                params.push(entityType);
+                whereConditions.push(`al.entity_type = $${params.length}`);
+            }
+
+            if (entityId) {
+                params.push(String(entityId));
+                whereConditions.push(`al.entity_id = $${params.length}`);
+            }
+
+            if (userId) {
+                params.push(parseInt(userId));
+                whereConditions.push(`al.user_id = $${params.length}`);
+            }
+
+            if (action) {
+                params.push(action.toUpperCase());
+                whereConditions.push(`al.action = $${params.length}`);
+            }
+
+            if (storeId) {
+                params.push(parseInt(storeId));
+                whereConditions.push(`al.store_id = $${params.length}`);
+            }
+
+            if (startDate) {
+                params.push(startDate);
+                whereConditions.push(`al.occurred_at >= $${params.length}`);
+            }
+
+            // A bare end date covers that whole day
+            if (endDate) {
+                params.push(endDate);
+                whereConditions.push(/^\d{4}-\d{2}-\d{2}$/.test(endDate)
+                    ? `al.occurred_at < $${params.length}::date + 1`
+                    : `al.occurred_at <= $${params.length}`);
+            }
+
+            // Entries are append-only, so the id orders them and makes a stable cursor
+            if (cursor !== undefined) {
+                const position = decodeCursor(cursor, ['id']);
+
+                if (!/^\d+$/.test(String(position.id))) {
+                    throw new HttpError(400, 'Invalid pagination cursor');
+                }
+
+                params.push(String(position.id));
+                whereConditions.push(`al.id < $${params.length}::bigint`);
+            }
+
+            params.push(parseInt(limit) + 1);
+
+            const result = await db.query(
+                `SELECT al.*
+        FROM audit_log al
+        ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+        ORDER BY al.id DESC
+        LIMIT $${params.length}`,
+                params
+            );
+
+            const entries = result.rows.slice(0, parseInt(limit));
+            const hasMore = result.rows.length > parseInt(limit);
+
+            res.json({
+                entries,
+                pagination: {
+                    limit: parseInt(limit),
+                    next_cursor: hasMore ? encodeCursor({ id: entries[entries.length - 1].id }) : null,
+                    has_more: hasMore
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
@@ -1,6 +1,7 @@
 import { db } from '../config/database.js';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import { AuditService } from '../services/AuditService.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret';
@@ -41,14 +42,25 @@ export const AuthController = {
             }
 
             // Generate JWT tokens
-            const accessToken = generateAccessToken(userData);
+            const stores = await loadStoreMemberships(userData.id);
+            const accessToken = generateAccessToken(userData, stores);
             const refreshToken = generateRefreshToken(userData);
 
             // Update user's refresh token in database
-            await db.query(
-                'UPDATE users SET refresh_token = $1 WHERE id = $2',
-                [refreshToken, userData.id]
-            );
+            await db.transaction(async (client) => {
+                await client.query(
+                    'UPDATE users SET refresh_token = $1 WHERE id = $2',
+                    [refreshToken, userData.id]
+                );
+
+                // Login is public, so the actor is the account signing in
+                await AuditService.record(client, req, {
+                    action: 'LOGIN',
+                    entityType: 'user',
+                    entityId: userData.id,
+                    actor: { userId: userData.id, name: userData.name, role: userData.role, storeId: userData.store_id }
+                });
+            });
 
             // Remove password from response
             delete userData.password;
@@ -56,7 +68,7 @@ export const AuthController = {
 
             res.json({
                 message: 'Login successful',
-                user: userData,
+                user: { ...userData, stores },
                 accessToken,
                 refreshToken
             });
@@ -96,12 +108,23 @@ export const AuthController = {
             const hashedPassword = await bcrypt.hash(password, 10);
 
             // Create new user
-            const result = await db.query(
-                `INSERT INTO users (name, email, password, role, created_at) 
+            const result = await db.transaction(async (client) => {
+                const created = await client.query(
+                    `INSERT INTO users (name, email, password, role, created_at) 
          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP) 
-         RETURNING id, name, email, role, created_at`,
-                [name, email, hashedPassword, role || 'user']
-            );
+         RETURNING id, name, email, role, store_id, created_at`,
+                    [name, email, hashedPassword, role || 'user']
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'user',
+                    entityId: created.rows[0].id,
+                    after: created.rows[0]
+                });
+
+                return created;
+            });
 
             res.status(201).json({
                 message: 'User registered successfully',
@@ -148,8 +171,9 @@ export const AuthController = {
 
             const userInfo = user.rows[0];
 
-            // Generate new access token
-            const accessToken = generateAccessToken(userInfo);
+            // Generate new access token (picking up any membership changes since login)
+            const stores = await loadStoreMemberships(userInfo.id);
+            const accessToken = generateAccessToken(userInfo, stores);
 
             res.json({
                 message: 'Token refreshed successfully',
@@ -198,11 +222,15 @@ export const AuthController = {
             // Hash new password
             const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-            // Update password
-            await db.query(
-                'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                [hashedPassword, userId]
-            );
+            // Update password (the audit entry records that it changed, never the hashes)
+            await db.transaction(async (client) => {
+                await client.query(
+                    'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                    [hashedPassword, userId]
+                );
+
+                await AuditService.record(client, req, { action: 'PASSWORD_CHANGE', entityType: 'user', entityId: userId });
+            });
 
             res.json({
                 message: 'Password changed successfully'
@@ -227,10 +255,14 @@ export const AuthController = {
             tokenBlacklist.add(refreshToken);
 
             // Clear refresh token in database
-            await db.query(
-                'UPDATE users SET refresh_token = NULL WHERE id = $1',
-                [req.user.userId]
-            );
+            await db.transaction(async (client) => {
+                await client.query(
+                    'UPDATE users SET refresh_token = NULL WHERE id = $1',
+                    [req.user.userId]
+                );
+
+                await AuditService.record(client, req, { action: 'LOGOUT', entityType: 'user', entityId: req.user.userId });
+            });
 
             res.json({
                 message: 'Logged out successfully'
@@ -241,17 +273,31 @@ export const AuthController = {
     }
 };
 
+/**
+ * Load the stores a user is a member of, with their role at each
+ */
+async function loadStoreMemberships(userId) {
+    const result = await db.query(
+        `SELECT store_id, role FROM store_membership WHERE user_id = $1 ORDER BY store_id`,
+        [userId]
+    );
+
+    return result.rows.map(row => ({ storeId: row.store_id, role: row.role }));
+}
+
 /**
  * Generate JWT access token
  */
 // In the login method
-function generateAccessToken(user) {
+function generateAccessToken(user, stores = []) {
     return jwt.sign(
         {
             userId: user.id,
+            name: user.name,
             email: user.email,
             role: user.role,
-            storeId: user.store_id  // Include the store_id in the token
+            storeId: user.store_id,  // Primary store, the default for store lookups
+            stores  // Store memberships checked by enforceStoreAccess
         },
         JWT_SECRET,
         { expiresIn: JWT_EXPIRES_IN }
@@ -0,0 +1,449 @@
+import { db } from '../config/database.js';
+import { HttpError } from '../utils/HttpError.js';
+import { CategoryService } from '../services/CategoryService.js';
+import { AuditService } from '../services/AuditService.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export const CategoryController = {
+    /**
+     * Get the category tree (children nested and ordered by sort order, then name),
+     * or a flat list with ?flat=true. Product counts include descendant categories.
+     */
+    async getAllCategories(req, res, next) {
+        try {
+            const { flat } = req.query;
+
+            const result = await db.query(
+                `SELECT
+          c.*,
+          (SELECT COUNT(*) FROM product_catalog pc WHERE pc.category_id = c.id)::int as product_count,
+          (
+            SELECT COUNT(*) FROM product_catalog pc
+            JOIN category sub ON pc.category_id = sub.id
+            WHERE sub.path @> ARRAY[c.id]
+          )::int as total_product_count
+        FROM category c
+        ORDER BY cardinality(c.path), c.sort_order, c.name`
+            );
+
+            if (flat === 'true') {
+                return res.json({ categories: result.rows });
+            }
+
+            // Parents come before children (ordered by depth), so each child finds its parent
+            const nodes = new Map();
+            const roots = [];
+
+            result.rows.forEach(category => {
+                const node = { ...category, children: [] };
+                nodes.set(category.id, node);
+
+                if (category.parent_id) {
+                    nodes.get(category.parent_id).children.push(node);
+                } else {
+                    roots.push(node);
+                }
+            });
+
+            res.json({ categories: roots });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get a single category with its ancestors (breadcrumb) and direct children
+     */
+    async getCategoryById(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid category ID is required' });
+            }
+
+            const result = await db.query('SELECT * FROM category WHERE id = $1', [id]);
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Category not found' });
+            }
+
+            const category = result.rows[0];
+
+            const ancestors = await db.query(
+                `SELECT id, name, slug FROM category
+         WHERE id = ANY($1::int[]) AND id != $2
+         ORDER BY cardinality(path)`,
+                [category.path, id]
+            );
+
+            const children = await db.query(
+                'SELECT * FROM category WHERE parent_id = $1 ORDER BY sort_order, name',
+                [id]
+            );
+
+            const productCount = await db.query(
+                `SELECT
+          COUNT(*) FILTER (WHERE pc.category_id = $1)::int as product_count,
+          COUNT(*)::int as total_product_count
+        FROM product_catalog pc
+        WHERE ${CategoryService.subtreeCondition('pc.category_id', '$1')}`,
+                [id]
+            );
+
+            res.json({
+                ...category,
+                ...productCount.rows[0],
+                ancestors: ancestors.rows,
+                children: children.rows
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Create a category, at the root or under parentId.
+     * The slug defaults to one made from the name.
+     */
+    async createCategory(req, res, next) {
+        try {
+            const { name, slug, parentId, sortOrder } = req.body;
+
+            const validationError = validateCategory({ name, slug, sortOrder }, { requireName: true });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const category = await db.transaction(async (client) => {
+                let parentPath = [];
+
+                if (parentId) {
+                    const parent = await findCategory(client, parentId, { lock: true });
+                    parentPath = parent.path;
+                }
+
+                await assertSiblingNameFree(client, parentId || null, name.trim());
+
+                const result = await client.query(
+                    `INSERT INTO category (name, slug, parent_id, sort_order)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+                    [name.trim(), await uniqueSlug(client, slug || CategoryService.slugify(name), Boolean(slug)), parentId || null, sortOrder ?? 0]
+                );
+                const categoryId = result.rows[0].id;
+
+                const updated = await client.query(
+                    'UPDATE category SET path = $1 WHERE id = $2 RETURNING *',
+                    [[...parentPath, categoryId], categoryId]
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'category',
+                    entityId: categoryId,
+                    after: updated.rows[0]
+                });
+
+                return updated.rows[0];
+            });
+
+            res.status(201).json({
+                message: 'Category created successfully',
+                category
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Update a category: rename, change slug or sort order, or move it (and its
+     * subtree) under another parent with parentId (null moves it to the root)
+     */
+    async updateCategory(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { name, slug, parentId, sortOrder } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid category ID is required' });
+            }
+
+            const validationError = validateCategory({ name, slug, sortOrder });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const category = await db.transaction(async (client) => {
+                const current = await findCategory(client, id, { lock: true });
+                const newParentId = parentId !== undefined ? (parseInt(parentId) || null) : current.parent_id;
+                const newName = name !== undefined ? name.trim() : current.name;
+
+                let newPath = current.path;
+
+                if (newParentId !== current.parent_id) {
+                    let parentPath = [];
+
+                    if (newParentId) {
+                        const parent = await findCategory(client, newParentId, { lock: true });
+
+                        // A category cannot move into its own subtree
+                        if (parent.path.includes(current.id)) {
+                            throw new HttpError(400, 'A category cannot be moved under itself or one of its descendants');
+                        }
+
+                        parentPath = parent.path;
+                    }
+
+                    newPath = [...parentPath, current.id];
+                }
+
+                if (newParentId !== current.parent_id || newName.toLowerCase() !== current.name.toLowerCase()) {
+                    await assertSiblingNameFree(client, newParentId, newName, current.id);
+                }
+
+                const newSlug = slug !== undefined && slug !== current.slug
+                    ? await uniqueSlug(client, slug, true)
+                    : current.slug;
+
+                const result = await client.query(
+                    `UPDATE category
+           SET
+             name = $1,
+             slug = $2,
+             parent_id = $3,
+             sort_order = $4,
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = $5
+           RETURNING *`,
+                    [newName, newSlug, newParentId, sortOrder ?? current.sort_order, id]
+                );
+
+                // Re-root the paths of the whole subtree (the category itself included)
+                if (newPath !== current.path) {
+                    await client.query(
+                        `UPDATE category
+             SET path = $1::int[] || path[$2::int + 1:]
+             WHERE path @> ARRAY[$3::int]`,
+                        [newPath, current.path.length, current.id]
+                    );
+                    result.rows[0].path = newPath;
+                }
+
+                await AuditService.record(client, req, {
+                    action: 'UPDATE',
+                    entityType: 'category',
+                    entityId: id,
+                    before: current,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
+
+            res.json({
+                message: 'Category updated successfully',
+                category
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Delete a category without subcategories. Products, reorder defaults and cycle
+     * counts in it can be moved to another category with ?reassignTo=<id>, which also
+     * merges duplicate categories; otherwise a category still in use cannot be deleted.
+     */
+    async deleteCategory(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { reassignTo } = req.query;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid category ID is required' });
+            }
+
+            if (reassignTo !== undefined && (isNaN(parseInt(reassignTo)) || parseInt(reassignTo) === parseInt(id))) {
+                return res.status(400).json({ error: 'reassignTo must be the ID of another category' });
+            }
+
+            const result = await db.transaction(async (client) => {
+                const category = await findCategory(client, id, { lock: true });
+
+                const childCheck = await client.query(
+                    'SELECT id FROM category WHERE parent_id = $1 LIMIT 1',
+                    [id]
+                );
+
+                if (childCheck.rows.length > 0) {
+                    throw new HttpError(409, 'Cannot delete category with subcategories', {
+                        message: 'Please move or delete its subcategories first'
+                    });
+                }
+
+                let reassigned = { products: 0, reorder_defaults: 0, cycle_counts: 0 };
+
+                if (reassignTo !== undefined) {
+                    await findCategory(client, reassignTo);
+
+                    const products = await client.query(
+                        'UPDATE product_catalog SET category_id = $1, updated_at = CURRENT_TIMESTAMP WHERE category_id = $2 RETURNING id',
+                        [reassignTo, id]
+                    );
+
+                    for (const product of products.rows) {
+                        await AuditService.record(client, req, {
+                            action: 'UPDATE',
+                            entityType: 'product',
+                            entityId: product.id,
+                            before: { category_id: category.id },
+                            after: { category_id: parseInt(reassignTo) }
+                        });
+                    }
+
+                    // A default already set on the target category wins over the merged one
+                    await client.query(
+                        `DELETE FROM reorder_default rd
+             WHERE rd.category_id = $2
+               AND EXISTS (
+                 SELECT 1 FROM reorder_default other
+                 WHERE other.category_id = $1 AND COALESCE(other.store_id, 0) = COALESCE(rd.store_id, 0)
+               )`,
+                        [reassignTo, id]
+                    );
+                    const defaults = await client.query(
+                        'UPDATE reorder_default SET category_id = $1, updated_at = CURRENT_TIMESTAMP WHERE category_id = $2',
+                        [reassignTo, id]
+                    );
+
+                    const cycleCounts = await client.query(
+                        'UPDATE cycle_count SET category_id = $1, updated_at = CURRENT_TIMESTAMP WHERE category_id = $2',
+                        [reassignTo, id]
+                    );
+
+                    reassigned = {
+                        products: products.rowCount,
+                        reorder_defaults: defaults.rowCount,
+                        cycle_counts: cycleCounts.rowCount
+                    };
+                }
+
+                const usage = await client.query(
+                    `SELECT
+            (SELECT COUNT(*) FROM product_catalog WHERE category_id = $1)::int as product_count,
+            (SELECT COUNT(*) FROM reorder_default WHERE category_id = $1)::int as reorder_default_count,
+            (SELECT COUNT(*) FROM cycle_count WHERE category_id = $1)::int as cycle_count_count`,
+                    [id]
+                );
+
+                if (Object.values(usage.rows[0]).some(count => count > 0)) {
+                    throw new HttpError(409, 'Cannot delete category that is still in use', {
+                        ...usage.rows[0],
+                        message: 'Pass reassignTo to move its products, reorder defaults and cycle counts to another category'
+                    });
+                }
+
+                await client.query('DELETE FROM category WHERE id = $1', [id]);
+
+                await AuditService.record(client, req, {
+                    action: 'DELETE',
+                    entityType: 'category',
+                    entityId: id,
+                    before: category
+                });
+
+                return reassigned;
+            });
+
+            res.json({
+                message: 'Category deleted successfully',
+                reassigned: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
+
+/**
+ * Validate category fields; name is only required on create.
+ * Returns an error message, or null when the fields are valid
+ */
+function validateCategory({ name, slug, sortOrder }, { requireName = false } = {}) {
+    if (requireName && (typeof name !== 'string' || name.trim() === '')) {
+        return 'Category name is required';
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '' || name.trim().length > 50)) {
+        return 'Category name must be 1 to 50 characters';
+    }
+
+    if (slug !== undefined && (typeof slug !== 'string' || !SLUG_PATTERN.test(slug) || slug.length > 60)) {
+        return 'Slug must be lowercase letters, digits and single hyphens (at most 60 characters)';
+    }
+
+    if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+        return 'Sort order must be a whole number';
+    }
+
+    return null;
+}
+
+/**
+ * Load a category, optionally locking it (FOR UPDATE)
+ */
+async function findCategory(client, id, { lock = false } = {}) {
+    const result = await client.query(
+        `SELECT * FROM category WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Category not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Sibling categories may not share a name (ignoring case)
+ */
+async function assertSiblingNameFree(client, parentId, name, excludeId = null) {
+    const result = await client.query(
+        `SELECT id FROM category
+     WHERE COALESCE(parent_id, 0) = COALESCE($1, 0) AND lower(name) = lower($2) AND id != COALESCE($3, 0)`,
+        [parentId, name, excludeId]
+    );
+
+    if (result.rows.length > 0) {
+        throw new HttpError(409, 'A category with this name already exists here', {
+            category_id: result.rows[0].id
+        });
+    }
+}
+
+/**
+ * A requested slug must be free; a slug made from the name gets a numeric suffix instead
+ */
+async function uniqueSlug(client, slug, requested) {
+    const result = await client.query(
+        'SELECT slug FROM category WHERE slug = $1 OR slug LIKE $2',
+        [slug, `${slug}-%`]
+    );
+    const taken = new Set(result.rows.map(row => row.slug));
+
+    if (!taken.has(slug)) {
+        return slug;
+    }
+
+    if (requested) {
+        throw new HttpError(409, 'A category with this slug already exists');
+    }
+
+    let suffix = 2;
+    while (taken.has(`${slug}-${suffix}`)) suffix++;
+    return `${slug}-${suffix}`;
+}
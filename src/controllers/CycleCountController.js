@@ -0,0 +1,512 @@
+import { db } from '../config/database.js';
+import { getAccessibleStoreIds, hasStoreAccess } from '../middleware/auth.js';
+import { HttpError } from '../utils/HttpError.js';
+import { StockService } from '../services/StockService.js';
+import { CategoryService } from '../services/CategoryService.js';
+import { AuditService } from '../services/AuditService.js';
+
+export const CycleCountController = {
+    /**
+     * Get cycle counts with pagination and filtering
+     * (non-admin users only see counts for their own store)
+     */
+    async getAllCycleCounts(req, res, next) {
+        try {
+            const { page = 1, limit = 20, status, storeId } = req.query;
+
+            const offset = (page - 1) * limit;
+            let params = [];
+            let whereConditions = [];
+
+            if (status) {
+                params.push(status.toUpperCase());
+                whereConditions.push(`cc.status = $${params.length}`);
+            }
+
+            if (storeId) {
+                params.push(storeId);
+                whereConditions.push(`cc.store_id = $${params.length}`);
+            }
+
+            // Non-admins only see their own stores' counts
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                whereConditions.push(`cc.store_id = ANY($${params.length}::int[])`);
+            }
+
+            let queryBase = `
+        SELECT 
+          cc.*,
+          s.name as store_name,
+          cat.name as category,
+          (SELECT COUNT(*) FROM cycle_count_item ci WHERE ci.cycle_count_id = cc.id) as item_count,
+          (SELECT COUNT(*) FROM cycle_count_item ci WHERE ci.cycle_count_id = cc.id AND ci.counted_quantity IS NOT NULL) as counted_count
+        FROM cycle_count cc
+        JOIN store s ON cc.store_id = s.id
+        LEFT JOIN category cat ON cc.category_id = cat.id
+      `;
+
+            if (whereConditions.length > 0) {
+                queryBase += ` WHERE ${whereConditions.join(' AND ')}`;
+            }
+
+            const countQuery = `SELECT COUNT(*) FROM (${queryBase}) as filtered_counts`;
+            const query = `
+        ${queryBase}
+        ORDER BY cc.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+            const countResult = await db.query(countQuery, params);
+            const result = await db.query(query, [...params, parseInt(limit), parseInt(offset)]);
+
+            const total = parseInt(countResult.rows[0].count);
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                cycle_counts: result.rows.map(count => ({
+                    ...count,
+                    item_count: parseInt(count.item_count),
+                    counted_count: parseInt(count.counted_count)
+                })),
+                pagination: {
+                    total,
+                    totalPages,
+                    currentPage: parseInt(page),
+                    limit: parseInt(limit)
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get a single cycle count with its lines
+     */
+    async getCycleCountById(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid cycle count ID is required' });
+            }
+
+            await findCycleCount(db, id, req);
+
+            res.json(await getCycleCountDetails(db, id));
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Start a cycle count for a store, optionally limited to a category (ID, slug or
+     * name; subcategories included) and/or a list of products. Expected quantities are snapshotted now.
+     */
+    async createCycleCount(req, res, next) {
+        try {
+            const { storeId, category, productIds, notes } = req.body;
+
+            if (!storeId) {
+                return res.status(400).json({ error: 'Store ID is required' });
+            }
+
+            if (productIds !== undefined && (!Array.isArray(productIds) || productIds.length === 0 ||
+                productIds.some(productId => isNaN(parseInt(productId))))) {
+                return res.status(400).json({ error: 'Product IDs must be a non-empty list of valid product IDs' });
+            }
+
+            const cycleCount = await db.transaction(async (client) => {
+                const storeCheck = await client.query(
+                    'SELECT *, closing_date <= CURRENT_DATE as is_closed FROM store WHERE id = $1',
+                    [storeId]
+                );
+                if (storeCheck.rows.length === 0) {
+                    throw new HttpError(404, 'Store not found');
+                }
+
+                // Its corrections would be stock movements, which a closed store takes no more of
+                StockService.assertStoreOpen(storeCheck.rows[0]);
+
+                // Listed products are counted even if the store has no record of them yet
+                if (productIds) {
+                    for (const productId of productIds) {
+                        const productCheck = await client.query(
+                            'SELECT base_price FROM product_catalog WHERE id = $1',
+                            [productId]
+                        );
+                        if (productCheck.rows.length === 0) {
+                            throw new HttpError(404, `Product ${productId} not found`);
+                        }
+
+                        await StockService.ensureInventoryRecord(client, storeId, productId, productCheck.rows[0].base_price);
+                    }
+                }
+
+                let params = [storeId];
+                let scopeConditions = [];
+                let categoryRow = null;
+
+                if (category) {
+                    categoryRow = await CategoryService.resolve(client, category);
+                    params.push(categoryRow.id);
+                    scopeConditions.push(CategoryService.subtreeCondition('pc.category_id', `$${params.length}`));
+                }
+
+                if (productIds) {
+                    params.push(productIds.map(productId => parseInt(productId)));
+                    scopeConditions.push(`si.product_id = ANY($${params.length}::int[])`);
+                }
+
+                const inventory = await client.query(
+                    `SELECT si.id, si.product_id, si.quantity, COALESCE(si.price, pc.base_price) as unit_value
+           FROM store_inventory si
+           JOIN product_catalog pc ON si.product_id = pc.id
+           WHERE si.store_id = $1 ${scopeConditions.map(condition => `AND ${condition}`).join(' ')}
+           ORDER BY si.product_id`,
+                    params
+                );
+
+                if (inventory.rows.length === 0) {
+                    throw new HttpError(400, 'No inventory matches the count scope');
+                }
+
+                const result = await client.query(
+                    `INSERT INTO cycle_count (store_id, category_id, notes, created_by)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+                    [storeId, categoryRow?.id ?? null, notes, req.user.userId || null]
+                );
+
+                for (const item of inventory.rows) {
+                    await client.query(
+                        `INSERT INTO cycle_count_item
+             (cycle_count_id, product_id, store_inventory_id, expected_quantity, unit_value)
+             VALUES ($1, $2, $3, $4, $5)`,
+                        [result.rows[0].id, item.product_id, item.id, item.quantity, item.unit_value]
+                    );
+                }
+
+                const created = await getCycleCountDetails(client, result.rows[0].id);
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'cycle_count',
+                    entityId: created.id,
+                    after: created
+                });
+
+                return created;
+            });
+
+            res.status(201).json({
+                message: 'Cycle count started successfully',
+                cycle_count: cycleCount
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Enter counted quantities for lines of an open count.
+     * A line can be recounted until the count is approved.
+     */
+    async recordCounts(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { counts } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid cycle count ID is required' });
+            }
+
+            if (!Array.isArray(counts) || counts.length === 0) {
+                return res.status(400).json({ error: 'At least one count is required' });
+            }
+
+            for (const count of counts) {
+                if (!count.productId || isNaN(parseInt(count.productId))) {
+                    return res.status(400).json({ error: 'Each count needs a valid product ID' });
+                }
+
+                if (!Number.isInteger(count.countedQuantity) || count.countedQuantity < 0) {
+                    return res.status(400).json({ error: 'Each counted quantity must be a whole number of zero or more' });
+                }
+            }
+
+            const cycleCount = await db.transaction(async (client) => {
+                const current = await findCycleCount(client, id, req, { lock: true });
+                assertStatus(current, ['OPEN'], 'Only open cycle counts can be counted');
+                const before = await getCycleCountDetails(client, id);
+
+                for (const count of counts) {
+                    const result = await client.query(
+                        `UPDATE cycle_count_item
+             SET counted_quantity = $1, counted_by = $2, counted_at = CURRENT_TIMESTAMP
+             WHERE cycle_count_id = $3 AND product_id = $4`,
+                        [count.countedQuantity, req.user.userId || null, id, count.productId]
+                    );
+
+                    if (result.rowCount === 0) {
+                        throw new HttpError(400, `Product ${count.productId} is not on this cycle count`);
+                    }
+                }
+
+                await client.query('UPDATE cycle_count SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+
+                const after = await getCycleCountDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'COUNT',
+                    entityType: 'cycle_count',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Counts recorded successfully',
+                cycle_count: cycleCount
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get the variance report: counted lines that differ from the snapshot,
+     * with quantity and value differences
+     */
+    async getVarianceReport(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid cycle count ID is required' });
+            }
+
+            await findCycleCount(db, id, req);
+
+            const { items, ...cycleCount } = await getCycleCountDetails(db, id);
+            const variances = items.filter(item => item.variance_quantity !== null && item.variance_quantity !== 0);
+
+            res.json({
+                cycle_count: cycleCount,
+                summary: {
+                    line_count: items.length,
+                    counted_lines: items.filter(item => item.counted_quantity !== null).length,
+                    variance_lines: variances.length,
+                    net_quantity: variances.reduce((sum, item) => sum + item.variance_quantity, 0),
+                    net_value: parseFloat(variances.reduce((sum, item) => sum + item.variance_value, 0).toFixed(2)),
+                    absolute_value: parseFloat(variances.reduce((sum, item) => sum + Math.abs(item.variance_value), 0).toFixed(2))
+                },
+                variances
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Approve a fully counted cycle count: each variance is posted as one
+     * adjustment movement (reference CC-<id>) against the current quantity,
+     * so sales made while counting are kept.
+     */
+    async approveCycleCount(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid cycle count ID is required' });
+            }
+
+            const cycleCount = await db.transaction(async (client) => {
+                const current = await findCycleCount(client, id, req, { lock: true });
+                assertStatus(current, ['OPEN'], 'Only open cycle counts can be approved');
+                const before = await getCycleCountDetails(client, id);
+
+                const items = await client.query(
+                    'SELECT * FROM cycle_count_item WHERE cycle_count_id = $1 ORDER BY product_id',
+                    [id]
+                );
+
+                const uncounted = items.rows.filter(item => item.counted_quantity === null);
+                if (uncounted.length > 0) {
+                    throw new HttpError(409, 'Every line must be counted before approval', {
+                        uncounted_product_ids: uncounted.map(item => item.product_id)
+                    });
+                }
+
+                for (const item of items.rows) {
+                    const variance = item.counted_quantity - item.expected_quantity;
+                    if (variance === 0) continue;
+
+                    const lockedInventory = await StockService.lockInventoryRecords(client, item.product_id, [current.store_id]);
+                    const { movement } = await StockService.postAdjustment(
+                        client,
+                        lockedInventory.get(current.store_id),
+                        variance,
+                        {
+                            referenceId: `CC-${current.id}`,
+                            notes: `Cycle count #${current.id} variance (expected ${item.expected_quantity}, counted ${item.counted_quantity})`
+                        }
+                    );
+
+                    await client.query(
+                        'UPDATE cycle_count_item SET adjustment_movement_id = $1 WHERE id = $2',
+                        [movement.id, item.id]
+                    );
+                }
+
+                await client.query(
+                    `UPDATE cycle_count
+           SET status = 'APPROVED', approved_by = $1, approved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2`,
+                    [req.user.userId || null, id]
+                );
+
+                const after = await getCycleCountDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'APPROVE',
+                    entityType: 'cycle_count',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Cycle count approved successfully',
+                cycle_count: cycleCount
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Cancel an open cycle count without posting anything
+     */
+    async cancelCycleCount(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid cycle count ID is required' });
+            }
+
+            const cycleCount = await db.transaction(async (client) => {
+                const current = await findCycleCount(client, id, req, { lock: true });
+                assertStatus(current, ['OPEN'], 'Only open cycle counts can be cancelled');
+                const before = await getCycleCountDetails(client, id);
+
+                await client.query(
+                    `UPDATE cycle_count SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                    [id]
+                );
+
+                const after = await getCycleCountDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'CANCEL',
+                    entityType: 'cycle_count',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Cycle count cancelled successfully',
+                cycle_count: cycleCount
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
+
+/**
+ * Load a cycle count the user may access in a store role the route allows, optionally locking it (FOR UPDATE)
+ */
+async function findCycleCount(client, id, req, { lock = false } = {}) {
+    const result = await client.query(
+        `SELECT * FROM cycle_count WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Cycle count not found');
+    }
+
+    const cycleCount = result.rows[0];
+
+    if (!hasStoreAccess(req.user, cycleCount.store_id, req.authorizedRoles)) {
+        throw new HttpError(403, 'Access denied', {
+            message: 'You do not have permission to access data for this store'
+        });
+    }
+
+    return cycleCount;
+}
+
+/**
+ * Throw a 409 unless the cycle count is in one of the allowed statuses
+ */
+function assertStatus(cycleCount, allowedStatuses, message) {
+    if (!allowedStatuses.includes(cycleCount.status)) {
+        throw new HttpError(409, message, { status: cycleCount.status });
+    }
+}
+
+/**
+ * Get a cycle count with its store and category names and lines, including each line's variance
+ * (null until the line is counted)
+ */
+async function getCycleCountDetails(client, id) {
+    const countResult = await client.query(
+        `SELECT 
+      cc.*,
+      s.name as store_name,
+      cat.name as category
+    FROM cycle_count cc
+    JOIN store s ON cc.store_id = s.id
+    LEFT JOIN category cat ON cc.category_id = cat.id
+    WHERE cc.id = $1`,
+        [id]
+    );
+
+    const itemsResult = await client.query(
+        `SELECT 
+      ci.*,
+      pc.name as product_name,
+      pc.sku,
+      ci.counted_quantity - ci.expected_quantity as variance_quantity,
+      (ci.counted_quantity - ci.expected_quantity) * ci.unit_value as variance_value
+    FROM cycle_count_item ci
+    JOIN product_catalog pc ON ci.product_id = pc.id
+    WHERE ci.cycle_count_id = $1
+    ORDER BY pc.name`,
+        [id]
+    );
+
+    return {
+        ...countResult.rows[0],
+        items: itemsResult.rows.map(item => ({
+            ...item,
+            unit_value: parseFloat(item.unit_value),
+            variance_value: item.variance_value !== null ? parseFloat(item.variance_value) : null
+        }))
+    };
+}
@@ -1,8 +1,79 @@
 import { db } from '../config/database.js';
+import { HttpError } from '../utils/HttpError.js';
+import { StockService, INVENTORY_COST_VALUE_SQL } from '../services/StockService.js';
+import { InventoryHistoryService } from '../services/InventoryHistoryService.js';
+import { BarcodeService } from '../services/BarcodeService.js';
+import { CategoryService } from '../services/CategoryService.js';
+import { AuditService } from '../services/AuditService.js';
+import { getAccessibleStoreIds, hasStoreAccess } from '../middleware/auth.js';
+import { getExportFormat, sendReport, streamExport } from '../utils/export.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+
+// Most specific reorder default for an inventory row (si) of a product (pc):
+// store + category, then category, then store, then the global default.
+// A default set on a category also covers its subcategories; the nearest one wins.
+const REORDER_DEFAULT_JOIN = `
+        LEFT JOIN LATERAL (
+          SELECT rd.reorder_point, rd.reorder_quantity, rd.max_stock
+          FROM reorder_default rd
+          LEFT JOIN category rdc ON rd.category_id = rdc.id
+          WHERE (rd.store_id = si.store_id OR rd.store_id IS NULL)
+            AND (rd.category_id IS NULL OR rdc.path <@ (SELECT path FROM category WHERE id = pc.category_id))
+          ORDER BY
+            (rd.store_id IS NOT NULL AND rd.category_id IS NOT NULL) DESC,
+            (rd.category_id IS NOT NULL) DESC,
+            cardinality(rdc.path) DESC NULLS LAST,
+            (rd.store_id IS NOT NULL) DESC
+          LIMIT 1
+        ) rd ON true
+`;
+
+// Effective reorder settings: the inventory row's own values, else the default
+const REORDER_SETTINGS_COLUMNS = `
+          COALESCE(si.reorder_point, rd.reorder_point) as reorder_point,
+          COALESCE(si.reorder_quantity, rd.reorder_quantity) as reorder_quantity,
+          COALESCE(si.max_stock, rd.max_stock) as max_stock
+`;
+
+// Quantity held by active, unexpired reservations for an inventory row (si).
+// With a cutoff parameter: reservations that were active at that time
+// (their status has not changed since, or changed after the cutoff)
+const reservedJoin = (cutoffParam = null) => `
+        LEFT JOIN LATERAL (
+          SELECT COALESCE(SUM(r.quantity), 0)::int as reserved_quantity
+          FROM stock_reservation r
+          WHERE r.store_id = si.store_id
+            AND r.product_id = si.product_id
+            ${cutoffParam
+        ? `AND r.created_at < ${cutoffParam}
+            AND r.expires_at > ${cutoffParam}
+            AND (r.status = 'ACTIVE' OR r.updated_at >= ${cutoffParam})`
+        : `AND r.status = 'ACTIVE'
+            AND r.expires_at > CURRENT_TIMESTAMP`}
+        ) res ON true
+`;
+
+// On-hand quantity minus reservations (available to promise)
+const availabilityColumns = (quantityColumn = 'si.quantity') => `
+          res.reserved_quantity,
+          ${quantityColumn} - res.reserved_quantity as available_quantity
+`;
+
+// Rows fetched per query when streaming movement exports
+const EXPORT_BATCH_SIZE = 1000;
+
+// Inventory report sections and their worksheet names in exports
+const INVENTORY_REPORT_SHEETS = {
+    summary: 'Summary',
+    by_store: 'By store',
+    by_category: 'By category',
+    low_stock_items: 'Low stock'
+};
 
 export const InventoryController = {
     /**
      * Get inventory for a specific store
+     * (optionally as of a past date or time, rebuilt from the movement ledger)
      */
     async getStoreInventory(req, res, next) {
         try {
@@ -12,13 +83,16 @@ export const InventoryController = {
                 limit = 20,
                 minQuantity,
                 maxQuantity,
-                category
+                category,
+                asOf
             } = req.query;
 
             if (!storeId || isNaN(parseInt(storeId))) {
                 return res.status(400).json({ error: 'Valid store ID is required' });
             }
 
+            const cutoff = asOf ? InventoryHistoryService.parseAsOf(asOf) : null;
+
             // Check if store exists
             const storeCheck = await db.query(
                 'SELECT id, name FROM store WHERE id = $1',
@@ -35,37 +109,61 @@ export const InventoryController = {
             // Build query with filters
             let queryParams = [storeId];
             let filterConditions = [];
+
+            // As of a cutoff, quantity and price come from the ledger instead of the current row
+            let quantityColumn = 'si.quantity';
+            let priceColumn = 'si.price';
+            let historyJoin = '';
+            let cutoffParam = null;
+
+            if (cutoff) {
+                queryParams.push(cutoff);
+                cutoffParam = `$${queryParams.length}::timestamp`;
+                quantityColumn = 'hist.quantity';
+                priceColumn = 'COALESCE(hist.price, si.price)';
+                historyJoin = InventoryHistoryService.asOfJoin(cutoffParam);
+                filterConditions.push(`si.created_at < ${cutoffParam}`);
+            }
+
             let queryBase = `
         SELECT 
           si.id as inventory_id, 
-          si.quantity, 
-          si.price, 
+          ${quantityColumn} as quantity, 
+          ${priceColumn} as price, 
           pc.id as product_id, 
           pc.name as product_name, 
           pc.sku, 
           pc.description,
-          pc.category,
-          pc.base_price
+          pc.category_id,
+          cat.name as category,
+          pc.base_price,
+          ${availabilityColumns(quantityColumn)},
+          ${REORDER_SETTINGS_COLUMNS}
         FROM store_inventory si
         JOIN product_catalog pc ON si.product_id = pc.id
+        LEFT JOIN category cat ON pc.category_id = cat.id
+        ${REORDER_DEFAULT_JOIN}
+        ${historyJoin}
+        ${reservedJoin(cutoffParam)}
         WHERE si.store_id = $1
       `;
 
             // Add quantity filters
             if (minQuantity !== undefined) {
                 queryParams.push(parseInt(minQuantity));
-                filterConditions.push(`si.quantity >= $${queryParams.length}`);
+                filterConditions.push(`${quantityColumn} >= $${queryParams.length}`);
             }
 
             if (maxQuantity !== undefined) {
                 queryParams.push(parseInt(maxQuantity));
-                filterConditions.push(`si.quantity <= $${queryParams.length}`);
+                filterConditions.push(`${quantityColumn} <= $${queryParams.length}`);
             }
 
-            // Add category filter
+            // Add category filter (subcategories included)
             if (category) {
-                queryParams.push(category);
-                filterConditions.push(`pc.category = $${queryParams.length}`);
+                const categoryRow = await CategoryService.resolve(db, category);
+                queryParams.push(categoryRow.id);
+                filterConditions.push(CategoryService.subtreeCondition('pc.category_id', `$${queryParams.length}`));
             }
 
             // Add filter conditions to query
@@ -75,7 +173,10 @@ export const InventoryController = {
 
             // Count query (for pagination)
             const countQuery = `
-        SELECT COUNT(*) FROM (${queryBase}) as filtered_inventory
+        SELECT 
+          COUNT(*),
+          COUNT(*) FILTER (WHERE quantity <= reorder_point) as low_stock_count
+        FROM (${queryBase}) as filtered_inventory
       `;
 
             // Final query with sorting and pagination
@@ -103,11 +204,12 @@ export const InventoryController = {
 
             res.json({
                 store,
+                ...(asOf && { as_of: asOf }),
                 inventory: result.rows,
                 summary: {
                     totalItems: total,
                     totalValue: parseFloat(totalValue.toFixed(2)),
-                    lowStockCount: 0 // This could be calculated with a threshold
+                    lowStockCount: parseInt(countResult.rows[0].low_stock_count)
                 },
                 pagination: {
                     total,
@@ -144,7 +246,8 @@ export const InventoryController = {
 
             const product = productCheck.rows[0];
 
-            // Get inventory across all stores
+            // Get inventory across all stores (non-admins: their own stores)
+            const storeIds = getAccessibleStoreIds(req.user);
             const inventoryResult = await db.query(
                 `SELECT 
           si.id as inventory_id,
@@ -152,17 +255,20 @@ export const InventoryController = {
           s.name as store_name,
           si.quantity,
           si.price,
+          ${availabilityColumns()},
           si.created_at,
           si.updated_at
         FROM store_inventory si
         JOIN store s ON si.store_id = s.id
-        WHERE si.product_id = $1
+        ${reservedJoin()}
+        WHERE si.product_id = $1 AND ($2::int[] IS NULL OR si.store_id = ANY($2::int[]))
         ORDER BY s.name`,
-                [productId]
+                [productId, storeIds]
             );
 
             // Calculate totals
             const totalQuantity = inventoryResult.rows.reduce((sum, item) => sum + item.quantity, 0);
+            const totalAvailable = inventoryResult.rows.reduce((sum, item) => sum + item.available_quantity, 0);
             const totalStores = inventoryResult.rows.length;
 
             res.json({
@@ -170,6 +276,7 @@ export const InventoryController = {
                 inventory: inventoryResult.rows,
                 summary: {
                     totalQuantity,
+                    totalAvailable,
                     totalStores,
                     averagePrice: totalStores > 0 ?
                         inventoryResult.rows.reduce((sum, item) => sum + (item.price || product.base_price), 0) / totalStores :
@@ -186,86 +293,100 @@ export const InventoryController = {
      */
     async updateInventory(req, res, next) {
         try {
-            const { inventoryId } = req.params;
-            const { quantity, price } = req.body;
+            const { storeId, inventoryId } = req.params;
+            const { quantity, price, reorderPoint, reorderQuantity, maxStock } = req.body;
+
+            if (!storeId || isNaN(parseInt(storeId))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
 
             if (!inventoryId || isNaN(parseInt(inventoryId))) {
                 return res.status(400).json({ error: 'Valid inventory ID is required' });
             }
 
-            // Check if inventory record exists
-            const inventoryCheck = await db.query(
-                `SELECT 
+            if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+                return res.status(400).json({ error: 'Quantity must be a whole number of zero or more' });
+            }
+
+            // Reorder settings may be cleared with null to fall back to the store/category defaults
+            const settingsError = validateReorderSettings({ reorderPoint, reorderQuantity, maxStock });
+            if (settingsError) {
+                return res.status(400).json({ error: settingsError });
+            }
+
+            const inventory = await db.transaction(async (client) => {
+                // Lock the inventory record so concurrent movements wait for this adjustment
+                const inventoryCheck = await client.query(
+                    `SELECT 
           si.*, 
           pc.name as product_name, 
           s.name as store_name
         FROM store_inventory si
         JOIN product_catalog pc ON si.product_id = pc.id
         JOIN store s ON si.store_id = s.id
-        WHERE si.id = $1`,
-                [inventoryId]
-            );
-
-            if (inventoryCheck.rows.length === 0) {
-                return res.status(404).json({ error: 'Inventory record not found' });
-            }
+        WHERE si.id = $1 AND si.store_id = $2
+        FOR UPDATE OF si`,
+                    [inventoryId, storeId]
+                );
 
-            const currentInventory = inventoryCheck.rows[0];
+                if (inventoryCheck.rows.length === 0) {
+                    throw new HttpError(404, 'Inventory record not found');
+                }
 
-            // Start transaction
-            await db.query('BEGIN');
+                const currentInventory = inventoryCheck.rows[0];
 
-            try {
-                // Update inventory record
-                const result = await db.query(
+                // Update price and reorder settings
+                const result = await client.query(
                     `UPDATE store_inventory
            SET 
-             quantity = COALESCE($1, quantity),
-             price = COALESCE($2, price),
+             price = COALESCE($1, price),
+             reorder_point = $2,
+             reorder_quantity = $3,
+             max_stock = $4,
              updated_at = CURRENT_TIMESTAMP
-           WHERE id = $3
+           WHERE id = $5
            RETURNING *`,
                     [
-                        quantity !== undefined ? quantity : currentInventory.quantity,
                         price !== undefined ? price : currentInventory.price,
+                        reorderPoint !== undefined ? reorderPoint : currentInventory.reorder_point,
+                        reorderQuantity !== undefined ? reorderQuantity : currentInventory.reorder_quantity,
+                        maxStock !== undefined ? maxStock : currentInventory.max_stock,
                         inventoryId
                     ]
                 );
 
-                // If quantity changed, record it as a stock movement
+                // If quantity changed, record it as a stock movement (lots are kept in step)
                 if (quantity !== undefined && quantity !== currentInventory.quantity) {
-                    const changeAmount = quantity - currentInventory.quantity;
-                    const movementType = changeAmount > 0 ? 'STOCK_IN' : 'REMOVAL';
-
-                    await db.query(
-                        `INSERT INTO stock_movement
-             (store_id, product_id, quantity, type, notes)
-             VALUES ($1, $2, $3, $4, $5)`,
-                        [
-                            currentInventory.store_id,
-                            currentInventory.product_id,
-                            Math.abs(changeAmount),
-                            movementType,
-                            `Manual inventory adjustment by ${req.user?.name || 'system'}`
-                        ]
+                    const { newQuantity } = await StockService.postAdjustment(
+                        client,
+                        currentInventory,
+                        quantity - currentInventory.quantity,
+                        { notes: `Manual inventory adjustment by ${req.user?.name || req.user?.email || 'system'}` }
                     );
+                    result.rows[0].quantity = newQuantity;
                 }
 
-                // Commit transaction
-                await db.query('COMMIT');
-
-                res.json({
-                    message: 'Inventory updated successfully',
-                    inventory: {
-                        ...result.rows[0],
-                        product_name: currentInventory.product_name,
-                        store_name: currentInventory.store_name
-                    }
+                const updated = {
+                    ...result.rows[0],
+                    product_name: currentInventory.product_name,
+                    store_name: currentInventory.store_name
+                };
+
+                await AuditService.record(client, req, {
+                    action: 'UPDATE',
+                    entityType: 'store_inventory',
+                    entityId: inventoryId,
+                    before: currentInventory,
+                    after: updated
                 });
-            } catch (error) {
-                await db.query('ROLLBACK');
-                throw error;
-            }
+
+                return updated;
+            });
+
+            res.json({
+                message: 'Inventory updated successfully',
+                inventory
+            });
         } catch (error) {
             next(error);
         }
@@ -278,18 +399,27 @@ export const InventoryController = {
         try {
             const {
                 storeId,
-                productId,
+                barcode, // Scanned GTIN, accepted instead of productId
                 quantity,
                 type,
                 referenceId,
                 notes,
-                destinationStoreId // For transfers only
+                destinationStoreId, // For transfers only
+                lotNumber, // Lot details for stock-in only
+                expiryDate,
+                receivedDate,
+                unitCost, // Required for stock-in: what one base unit cost the store
+                unitPrice, // Optional: price per base unit charged, defaults to the store's current price
+                discount, // Optional, sales only: total discount given
+                reservationId // Optional: the reservation this outgoing movement fulfils
             } = req.body;
+            // unit is optional (e.g. 'case', defaults to the base unit); both may come from a scanned barcode
+            let { productId, unit } = req.body;
 
             // Validate required fields
-            if (!storeId || !productId || !quantity || !type) {
+            if (!storeId || (!productId && !barcode) || !quantity || !type) {
                 return res.status(400).json({
-                    error: 'Store ID, product ID, quantity, and movement type are required'
+                    error: 'Store ID, product ID (or barcode), quantity, and movement type are required'
                 });
             }
 
@@ -308,191 +438,131 @@ export const InventoryController = {
                 });
             }
 
-            // Validate quantity
-            if (quantity <= 0) {
-                return res.status(400).json({ error: 'Quantity must be greater than zero' });
+            if (type === 'TRANSFER' && parseInt(destinationStoreId) === parseInt(storeId)) {
+                return res.status(400).json({
+                    error: 'Destination store must differ from the source store'
+                });
             }
 
-            // Start transaction
-            await db.query('BEGIN');
-
-            try {
-                // Check if product exists
-                const productCheck = await db.query(
-                    'SELECT * FROM product_catalog WHERE id = $1',
-                    [productId]
-                );
-
-                if (productCheck.rows.length === 0) {
-                    await db.query('ROLLBACK');
-                    return res.status(404).json({ error: 'Product not found' });
-                }
-
-                // Check if store exists
-                const storeCheck = await db.query(
-                    'SELECT * FROM store WHERE id = $1',
-                    [storeId]
-                );
-
-                if (storeCheck.rows.length === 0) {
-                    await db.query('ROLLBACK');
-                    return res.status(404).json({ error: 'Store not found' });
-                }
+            // Validate quantity
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                return res.status(400).json({ error: 'Quantity must be a whole number greater than zero' });
+            }
 
-                // For transfers, check destination store
-                if (type === 'TRANSFER') {
-                    const destStoreCheck = await db.query(
-                        'SELECT * FROM store WHERE id = $1',
-                        [destinationStoreId]
-                    );
+            if (unit !== undefined && (typeof unit !== 'string' || unit.trim() === '')) {
+                return res.status(400).json({ error: 'Unit must be a unit name configured for the product' });
+            }
 
-                    if (destStoreCheck.rows.length === 0) {
-                        await db.query('ROLLBACK');
-                        return res.status(404).json({ error: 'Destination store not found' });
-                    }
-                }
+            // Lots are created on stock-in; outgoing movements consume existing lots FEFO
+            if (type !== 'STOCK_IN' && (lotNumber || expiryDate || receivedDate)) {
+                return res.status(400).json({ error: 'Lot details can only be given for STOCK_IN movements' });
+            }
 
-                // Get or create inventory record for source store
-                let sourceInventory = await db.query(
-                    'SELECT * FROM store_inventory WHERE store_id = $1 AND product_id = $2',
-                    [storeId, productId]
-                );
+            if ((expiryDate && isNaN(Date.parse(expiryDate))) || (receivedDate && isNaN(Date.parse(receivedDate)))) {
+                return res.status(400).json({ error: 'Expiry and received dates must be valid dates' });
+            }
 
-                if (sourceInventory.rows.length === 0) {
-                    // Create new inventory record
-                    const newInventory = await db.query(
-                        `INSERT INTO store_inventory 
-             (store_id, product_id, quantity, price)
-             VALUES ($1, $2, 0, $3)
-             RETURNING *`,
-                        [storeId, productId, productCheck.rows[0].base_price]
-                    );
+            // Stock-in is costed at its unit cost; outgoing stock is costed from the cost layers
+            if (type === 'STOCK_IN' && (typeof unitCost !== 'number' || unitCost < 0)) {
+                return res.status(400).json({ error: 'Unit cost of zero or more is required for STOCK_IN movements' });
+            }
 
-                    sourceInventory = { rows: [newInventory.rows[0]] };
-                }
+            if (type !== 'STOCK_IN' && unitCost !== undefined) {
+                return res.status(400).json({ error: 'Unit cost can only be given for STOCK_IN movements' });
+            }
 
-                const currentQuantity = sourceInventory.rows[0].quantity;
+            if (unitPrice !== undefined && (typeof unitPrice !== 'number' || unitPrice < 0)) {
+                return res.status(400).json({ error: 'Unit price must be a number of zero or more' });
+            }
 
-                // For outgoing movements, check if enough stock
-                if (['SALE', 'REMOVAL', 'TRANSFER'].includes(type) && currentQuantity < quantity) {
-                    await db.query('ROLLBACK');
-                    return res.status(400).json({
-                        error: 'Insufficient stock',
-                        available: currentQuantity,
-                        requested: quantity
-                    });
-                }
+            if (discount !== undefined && (type !== 'SALE' || typeof discount !== 'number' || discount < 0)) {
+                return res.status(400).json({ error: 'Discount must be a number of zero or more, given on SALE movements only' });
+            }
 
-                // Create stock movement record
-                const movementResult = await db.query(
-                    `INSERT INTO stock_movement
-           (store_id, product_id, quantity, type, reference_id, notes)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING *`,
-                    [storeId, productId, quantity, type, referenceId, notes]
-                );
+            // A pack barcode (e.g. on a case) also sets the unit unless one was given
+            if (barcode) {
+                const scanned = await BarcodeService.findByCode(db, barcode);
 
-                // Update source store inventory
-                let newSourceQuantity;
-                if (type === 'STOCK_IN') {
-                    newSourceQuantity = currentQuantity + quantity;
-                } else {
-                    newSourceQuantity = currentQuantity - quantity;
+                if (productId && parseInt(productId) !== scanned.product.id) {
+                    return res.status(400).json({ error: 'Barcode belongs to a different product' });
                 }
 
-                await db.query(
-                    `UPDATE store_inventory
-           SET quantity = $1, updated_at = CURRENT_TIMESTAMP
-           WHERE store_id = $2 AND product_id = $3`,
-                    [newSourceQuantity, storeId, productId]
-                );
+                productId = scanned.product.id;
+                unit = unit ?? scanned.unit ?? undefined;
+            }
 
-                // For transfers, update destination store inventory
-                if (type === 'TRANSFER') {
-                    // Get or create inventory record for destination store
-                    let destInventory = await db.query(
-                        'SELECT * FROM store_inventory WHERE store_id = $1 AND product_id = $2',
-                        [destinationStoreId, productId]
-                    );
+            const { movement, newSourceQuantity } = await db.transaction(async (client) => {
+                const posted = await StockService.postMovement(client, {
+                    storeId,
+                    productId,
+                    quantity,
+                    type,
+                    referenceId,
+                    notes,
+                    destinationStoreId,
+                    lot: { lotNumber, expiryDate, receivedDate },
+                    reservationId,
+                    unit,
+                    unitCost,
+                    unitPrice,
+                    discount
+                });
 
-                    let destQuantity = 0;
-
-                    if (destInventory.rows.length === 0) {
-                        // Create new inventory record
-                        const newDestInventory = await db.query(
-                            `INSERT INTO store_inventory 
-               (store_id, product_id, quantity, price)
-               VALUES ($1, $2, 0, $3)
-               RETURNING *`,
-                            [destinationStoreId, productId, sourceInventory.rows[0].price || productCheck.rows[0].base_price]
-                        );
-
-                        destInventory = { rows: [newDestInventory.rows[0]] };
-                    } else {
-                        destQuantity = destInventory.rows[0].quantity;
-                    }
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'stock_movement',
+                    entityId: posted.movement.id,
+                    after: posted.movement
+                });
 
-                    // Update destination quantity
-                    await db.query(
-                        `UPDATE store_inventory
-             SET quantity = $1, updated_at = CURRENT_TIMESTAMP
-             WHERE store_id = $2 AND product_id = $3`,
-                        [destQuantity + quantity, destinationStoreId, productId]
-                    );
+                return posted;
+            });
 
-                    // Create complementary movement record for destination
-                    await db.query(
-                        `INSERT INTO stock_movement
-             (store_id, product_id, quantity, type, reference_id, notes)
-             VALUES ($1, $2, $3, $4, $5, $6)`,
-                        [
-                            destinationStoreId,
-                            productId,
-                            quantity,
-                            'STOCK_IN',
-                            referenceId || movementResult.rows[0].id.toString(),
-                            `Transfer from Store #${storeId} - ${notes || ''}`
-                        ]
-                    );
+            res.status(201).json({
+                message: 'Stock movement created successfully',
+                movement,
+                inventory: {
+                    store_id: storeId,
+                    product_id: productId,
+                    new_quantity: newSourceQuantity
                 }
-
-                // Commit transaction
-                await db.query('COMMIT');
-
-                res.status(201).json({
-                    message: 'Stock movement created successfully',
-                    movement: movementResult.rows[0],
-                    inventory: {
-                        store_id: storeId,
-                        product_id: productId,
-                        new_quantity: newSourceQuantity
-                    }
-                });
-            } catch (error) {
-                await db.query('ROLLBACK');
-                throw error;
-            }
+            });
         } catch (error) {
             next(error);
         }
     },
 
     /**
-     * Get all stock movements with pagination and filtering
+     * Get all stock movements, newest first, with pagination and filtering.
+     * Pass the next_cursor of a page as ?cursor= for the following page: cursors page by
+     * (created_at, id), so deep pages stay fast and rows do not shift as new movements
+     * arrive. page/limit still work for shallow paging. The total count is included for
+     * page requests and on request (includeTotal=true) for cursor requests.
+     * (CSV and XLSX exports stream every matching movement, ignoring pagination)
      */
     async getStockMovements(req, res, next) {
         try {
+            const format = getExportFormat(req);
             const {
-                page = 1,
+                page,
                 limit = 20,
+                cursor,
+                includeTotal,
                 startDate,
                 endDate,
                 type,
                 productId,
                 storeId
-            } = req.query;
+            } = { ...req.query, ...req.params }; // req.query is read-only in Express 5
+
+            if (isNaN(parseInt(limit)) || parseInt(limit) < 1) {
+                return res.status(400).json({ error: 'Limit must be a positive number' });
+            }
+
+            if (cursor !== undefined && page !== undefined) {
+                return res.status(400).json({ error: 'Use either cursor or page, not both' });
+            }
 
-            const offset = (page - 1) * limit;
             let params = [];
             let whereConditions = [];
 
@@ -522,51 +592,74 @@ export const InventoryController = {
                 whereConditions.push(`sm.store_id = $${params.length}`);
             }
 
+            // Non-admins only see their own stores' movements
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                whereConditions.push(`sm.store_id = ANY($${params.length}::int[])`);
+            }
+
             // Build query
-            let queryBase = `
+            const selectBase = `
         SELECT 
           sm.*,
           pc.name as product_name,
           pc.sku,
-          s.name as store_name
+          s.name as store_name,
+          (
+            SELECT COALESCE(json_agg(json_build_object(
+              'lot_id', sl.id,
+              'lot_number', sl.lot_number,
+              'expiry_date', sl.expiry_date,
+              'quantity', sml.quantity
+            ) ORDER BY sml.id), '[]')
+            FROM stock_movement_lot sml
+            JOIN stock_lot sl ON sml.stock_lot_id = sl.id
+            WHERE sml.stock_movement_id = sm.id
+          ) as lots
         FROM stock_movement sm
         JOIN product_catalog pc ON sm.product_id = pc.id
         JOIN store s ON sm.store_id = s.id
       `;
 
-            if (whereConditions.length > 0) {
-                queryBase += ` WHERE ${whereConditions.join(' AND ')}`;
+            if (format !== 'json') {
+                return await streamExport(res, format, 'stock-movements', 'Movements',
+                    fetchMovementBatches(selectBase, whereConditions, params));
             }
 
-            // Count query
-            const countQuery = `SELECT COUNT(*) FROM (${queryBase}) as filtered_movements`;
+            const usesCursor = cursor !== undefined;
+            const currentPage = usesCursor ? null : parseInt(page || 1);
+            const position = usesCursor ? decodeMovementCursor(cursor) : null;
 
-            // Final query with sorting and pagination
-            const query = `
-        ${queryBase}
-        ORDER BY sm.created_at DESC
-        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
-      `;
+            const { movements, nextCursor } = await fetchMovementPage(selectBase, whereConditions, params, {
+                cursor: position,
+                limit: parseInt(limit),
+                offset: usesCursor ? 0 : (currentPage - 1) * parseInt(limit)
+            });
 
-            params.push(parseInt(limit), parseInt(offset));
+            const pagination = {
+                limit: parseInt(limit),
+                next_cursor: nextCursor,
+                has_more: nextCursor !== null
+            };
 
-            // Execute queries
-            const countResult = await db.query(countQuery, params.slice(0, params.length - 2));
-            const result = await db.query(query, params);
+            // Counting every match is the slow part on a large ledger, so cursor pages skip it by default
+            if (includeTotal === 'true' || (!usesCursor && includeTotal !== 'false')) {
+                const countResult = await db.query(
+                    `SELECT COUNT(*) FROM stock_movement sm
+          ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}`,
+                    params
+                );
 
-            // Calculate total pages
-            const total = parseInt(countResult.rows[0].count);
-            const totalPages = Math.ceil(total / limit);
+                pagination.total = parseInt(countResult.rows[0].count);
+                pagination.totalPages = Math.ceil(pagination.total / limit);
+            }
 
-            res.json({
-                movements: result.rows,
-                pagination: {
-                    total,
-                    totalPages,
-                    currentPage: parseInt(page),
-                    limit: parseInt(limit)
-                }
-            });
+            if (!usesCursor) {
+                pagination.currentPage = currentPage;
+            }
+
+            res.json({ movements, pagination });
         } catch (error) {
             next(error);
         }
@@ -578,13 +671,6 @@ export const InventoryController = {
     async getStoreMovements(req, res, next) {
         try {
             const { storeId } = req.params;
-            const {
-                page = 1,
-                limit = 20,
-                startDate,
-                endDate,
-                type
-            } = req.query;
 
             if (!storeId || isNaN(parseInt(storeId))) {
                 return res.status(400).json({ error: 'Valid store ID is required' });
@@ -600,11 +686,8 @@ export const InventoryController = {
                 return res.status(404).json({ error: 'Store not found' });
             }
 
-            // Update req.query to include storeId for the getStockMovements method
-            req.query = { ...req.query, storeId };
-
-            // Reuse the getStockMovements method
-            return await this.getStockMovements(req, res, next);
+            // Reuse the getStockMovements method (it reads storeId from req.params)
+            return await InventoryController.getStockMovements(req, res, next);
         } catch (error) {
             next(error);
         }
@@ -616,13 +699,6 @@ export const InventoryController = {
     async getProductMovements(req, res, next) {
         try {
             const { productId } = req.params;
-            const {
-                page = 1,
-                limit = 20,
-                startDate,
-                endDate,
-                type
-            } = req.query;
 
             if (!productId || isNaN(parseInt(productId))) {
                 return res.status(400).json({ error: 'Valid product ID is required' });
@@ -638,39 +714,435 @@ export const InventoryController = {
                 return res.status(404).json({ error: 'Product not found' });
             }
 
-            // Update req.query to include productId for the getStockMovements method
-            req.query = { ...req.query, productId };
+            // Reuse the getStockMovements method (it reads productId from req.params)
+            return await InventoryController.getStockMovements(req, res, next);
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get stock lots of a store that expire within the next N days (including already expired lots)
+     */
+    async getExpiringStock(req, res, next) {
+        try {
+            const { storeId } = req.params;
+            const { days = 30 } = req.query;
+
+            if (!storeId || isNaN(parseInt(storeId))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            if (isNaN(parseInt(days)) || parseInt(days) < 0) {
+                return res.status(400).json({ error: 'Days must be zero or a positive number' });
+            }
+
+            // Check if store exists
+            const storeCheck = await db.query(
+                'SELECT id, name FROM store WHERE id = $1',
+                [storeId]
+            );
+
+            if (storeCheck.rows.length === 0) {
+                return res.status(404).json({ error: 'Store not found' });
+            }
+
+            const result = await db.query(
+                `SELECT 
+          sl.id as lot_id,
+          sl.lot_number,
+          sl.expiry_date,
+          sl.received_date,
+          sl.quantity,
+          sl.expiry_date - CURRENT_DATE as days_until_expiry,
+          si.id as inventory_id,
+          pc.id as product_id,
+          pc.name as product_name,
+          pc.sku,
+          pc.category_id,
+          cat.name as category,
+          COALESCE(si.price, pc.base_price) as price
+        FROM stock_lot sl
+        JOIN store_inventory si ON sl.store_inventory_id = si.id
+        JOIN product_catalog pc ON si.product_id = pc.id
+        LEFT JOIN category cat ON pc.category_id = cat.id
+        WHERE si.store_id = $1
+          AND sl.quantity > 0
+          AND sl.expiry_date <= CURRENT_DATE + $2::int
+        ORDER BY sl.expiry_date, pc.name`,
+                [storeId, parseInt(days)]
+            );
+
+            // Summaries
+            let expiredQuantity = 0;
+            let totalValue = 0;
+            result.rows.forEach(lot => {
+                if (lot.days_until_expiry < 0) {
+                    expiredQuantity += lot.quantity;
+                }
+                totalValue += lot.price * lot.quantity;
+            });
+
+            res.json({
+                store: storeCheck.rows[0],
+                days: parseInt(days),
+                lots: result.rows.map(lot => ({
+                    ...lot,
+                    expired: lot.days_until_expiry < 0
+                })),
+                summary: {
+                    lot_count: result.rows.length,
+                    total_quantity: result.rows.reduce((sum, lot) => sum + lot.quantity, 0),
+                    expired_quantity: expiredQuantity,
+                    total_value: parseFloat(totalValue.toFixed(2))
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get replenishment suggestions: items at or below their reorder point, grouped by store.
+     * Stock position counts on-hand stock plus open purchase orders and incoming transfers.
+     * The suggested quantity is the reorder quantity (capped at max stock), else enough to
+     * reach max stock, else enough to reach twice the reorder point.
+     */
+    async getReplenishment(req, res, next) {
+        try {
+            const { storeId, category } = { ...req.query, ...req.params };
+
+            if (storeId && isNaN(parseInt(storeId))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            let params = [];
+            let whereConditions = [];
 
-            // Reuse the getStockMovements method
-            return await this.getStockMovements(req, res, next);
+            if (storeId) {
+                params.push(storeId);
+                whereConditions.push(`si.store_id = $${params.length}`);
+            }
+
+            if (category) {
+                const categoryRow = await CategoryService.resolve(db, category);
+                params.push(categoryRow.id);
+                whereConditions.push(CategoryService.subtreeCondition('pc.category_id', `$${params.length}`));
+            }
+
+            const result = await db.query(
+                `SELECT * FROM (
+          SELECT 
+            si.id as inventory_id,
+            s.id as store_id,
+            s.name as store_name,
+            pc.id as product_id,
+            pc.name as product_name,
+            pc.sku,
+            pc.category_id,
+            cat.name as category,
+            si.quantity,
+            ${REORDER_SETTINGS_COLUMNS},
+            COALESCE((
+              SELECT SUM(poi.quantity_ordered - poi.quantity_received)
+              FROM purchase_order_item poi
+              JOIN purchase_order po ON poi.purchase_order_id = po.id
+              WHERE po.store_id = si.store_id
+                AND poi.product_id = si.product_id
+                AND po.status IN ('SUBMITTED', 'PARTIALLY_RECEIVED')
+            ), 0)::int as on_order,
+            COALESCE((
+              SELECT SUM(ti.quantity_shipped)
+              FROM store_transfer_item ti
+              JOIN store_transfer t ON ti.transfer_id = t.id
+              WHERE t.destination_store_id = si.store_id
+                AND ti.product_id = si.product_id
+                AND t.status = 'IN_TRANSIT'
+            ), 0)::int as in_transit,
+            (
+              SELECT po.supplier_id
+              FROM purchase_order_item poi
+              JOIN purchase_order po ON poi.purchase_order_id = po.id
+              WHERE poi.product_id = si.product_id AND po.status <> 'CANCELLED'
+              ORDER BY po.created_at DESC
+              LIMIT 1
+            ) as last_supplier_id
+          FROM store_inventory si
+          JOIN product_catalog pc ON si.product_id = pc.id
+          LEFT JOIN category cat ON pc.category_id = cat.id
+          JOIN store s ON si.store_id = s.id
+          ${REORDER_DEFAULT_JOIN}
+          ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+        ) as stock_position
+        WHERE reorder_point IS NOT NULL
+          AND quantity + on_order + in_transit <= reorder_point
+        ORDER BY store_name, product_name`,
+                params
+            );
+
+            // Group suggestions by store
+            const storeGroups = {};
+            result.rows.forEach(item => {
+                const position = item.quantity + item.on_order + item.in_transit;
+                let suggested;
+
+                if (item.reorder_quantity) {
+                    suggested = item.max_stock
+                        ? Math.min(item.reorder_quantity, item.max_stock - position)
+                        : item.reorder_quantity;
+                } else if (item.max_stock) {
+                    suggested = item.max_stock - position;
+                } else {
+                    suggested = item.reorder_point * 2 - position;
+                }
+
+                if (!storeGroups[item.store_id]) {
+                    storeGroups[item.store_id] = {
+                        store_id: item.store_id,
+                        store_name: item.store_name,
+                        item_count: 0,
+                        total_suggested_quantity: 0,
+                        items: []
+                    };
+                }
+
+                const group = storeGroups[item.store_id];
+                group.item_count++;
+                group.total_suggested_quantity += Math.max(suggested, 0);
+                group.items.push({
+                    ...item,
+                    stock_position: position,
+                    suggested_quantity: Math.max(suggested, 0)
+                });
+            });
+
+            res.json({
+                summary: {
+                    store_count: Object.keys(storeGroups).length,
+                    item_count: result.rows.length
+                },
+                stores: Object.values(storeGroups)
+            });
         } catch (error) {
             next(error);
         }
     },
 
     /**
-     * Get inventory report across all stores
+     * List reorder defaults (non-admin users see the global, category and their stores' defaults)
+     */
+    async getReorderDefaults(req, res, next) {
+        try {
+            let query = `
+        SELECT rd.*, s.name as store_name, c.name as category
+        FROM reorder_default rd
+        LEFT JOIN store s ON rd.store_id = s.id
+        LEFT JOIN category c ON rd.category_id = c.id
+      `;
+            let params = [];
+
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                query += ' WHERE rd.store_id IS NULL OR rd.store_id = ANY($1::int[])';
+            }
+
+            query += ' ORDER BY rd.store_id NULLS FIRST, rd.category_id NULLS FIRST';
+
+            const result = await db.query(query, params);
+
+            res.json({ reorder_defaults: result.rows });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Create or replace the reorder default for a store and/or category
+     * (categoryId, or category as an ID, slug or name; it also covers subcategories).
+     * Both omitted sets the global default; store-less defaults are admin only.
+     */
+    async setReorderDefault(req, res, next) {
+        try {
+            const { storeId, categoryId, category, reorderPoint, reorderQuantity, maxStock } = req.body;
+
+            if (!Number.isInteger(reorderPoint) || reorderPoint < 0) {
+                return res.status(400).json({ error: 'Reorder point must be a whole number of zero or more' });
+            }
+
+            const settingsError = validateReorderSettings({ reorderQuantity, maxStock });
+            if (settingsError) {
+                return res.status(400).json({ error: settingsError });
+            }
+
+            if (!storeId && req.user.role !== 'admin') {
+                return res.status(403).json({ error: 'Only admins can set defaults for all stores' });
+            }
+
+            if (storeId) {
+                const storeCheck = await db.query('SELECT id FROM store WHERE id = $1', [storeId]);
+                if (storeCheck.rows.length === 0) {
+                    return res.status(404).json({ error: 'Store not found' });
+                }
+            }
+
+            const categoryValue = categoryId ?? category;
+            const categoryRow = categoryValue ? await CategoryService.resolve(db, categoryValue) : null;
+
+            const reorderDefault = await db.transaction(async (client) => {
+                const existing = await client.query(
+                    `SELECT * FROM reorder_default
+           WHERE COALESCE(store_id, 0) = COALESCE($1::int, 0) AND COALESCE(category_id, 0) = COALESCE($2::int, 0)
+           FOR UPDATE`,
+                    [storeId || null, categoryRow?.id ?? null]
+                );
+
+                const result = await client.query(
+                    `INSERT INTO reorder_default (store_id, category_id, reorder_point, reorder_quantity, max_stock)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (COALESCE(store_id, 0), COALESCE(category_id, 0)) DO UPDATE
+         SET 
+           reorder_point = EXCLUDED.reorder_point,
+           reorder_quantity = EXCLUDED.reorder_quantity,
+           max_stock = EXCLUDED.max_stock,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+                    [storeId || null, categoryRow?.id ?? null, reorderPoint, reorderQuantity ?? null, maxStock ?? null]
+                );
+
+                await AuditService.record(client, req, {
+                    action: existing.rows.length > 0 ? 'UPDATE' : 'CREATE',
+                    entityType: 'reorder_default',
+                    entityId: result.rows[0].id,
+                    before: existing.rows[0] ?? null,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
+
+            res.json({
+                message: 'Reorder default saved successfully',
+                reorder_default: reorderDefault
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Delete a reorder default
+     */
+    async deleteReorderDefault(req, res, next) {
+        try {
+            const { defaultId } = req.params;
+
+            if (!defaultId || isNaN(parseInt(defaultId))) {
+                return res.status(400).json({ error: 'Valid reorder default ID is required' });
+            }
+
+            const existing = await db.query('SELECT * FROM reorder_default WHERE id = $1', [defaultId]);
+
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ error: 'Reorder default not found' });
+            }
+
+            const reorderDefault = existing.rows[0];
+            if (reorderDefault.store_id === null ? req.user.role !== 'admin' : !hasStoreAccess(req.user, reorderDefault.store_id, req.authorizedRoles)) {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'You do not have permission to change this reorder default'
+                });
+            }
+
+            await db.transaction(async (client) => {
+                await client.query('DELETE FROM reorder_default WHERE id = $1', [defaultId]);
+
+                await AuditService.record(client, req, {
+                    action: 'DELETE',
+                    entityType: 'reorder_default',
+                    entityId: defaultId,
+                    before: reorderDefault
+                });
+            });
+
+            res.json({ message: 'Reorder default deleted successfully' });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get inventory report across all stores (non-admins: the stores they are members of)
+     * (optionally as of a past date or time, rebuilt from the movement ledger,
+     * and with variant stock rolled up to parent products via rollupVariants=true).
+     * The category filter includes subcategories; by_category groups by each product's own
+     * category, or by its ancestor at categoryLevel (1 = top-level categories).
      */
     async getInventoryReport(req, res, next) {
         try {
-            const { storeId, category, lowStockThreshold = 10 } = req.query;
+            const format = getExportFormat(req);
+            const { storeId, category, categoryLevel, asOf, rollupVariants, section = 'by_store' } = req.query;
+
+            if (categoryLevel !== undefined && !/^[1-9]\d*$/.test(categoryLevel)) {
+                return res.status(400).json({ error: 'Category level must be a whole number of one or more' });
+            }
+
+            if (storeId && !hasStoreAccess(req.user, storeId)) {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'You do not have permission to access data for this store'
+                });
+            }
+
+            const cutoff = asOf ? InventoryHistoryService.parseAsOf(asOf) : null;
 
             let params = [];
             let whereConditions = [];
+
+            // As of a cutoff, quantity and price come from the ledger and cost from the layers then on hand
+            let quantityColumn = 'si.quantity';
+            let priceColumn = 'si.price';
+            let historyJoin = '';
+            let cutoffParam = null;
+
+            if (cutoff) {
+                params.push(cutoff);
+                cutoffParam = `$${params.length}::timestamp`;
+                quantityColumn = 'hist.quantity';
+                priceColumn = 'COALESCE(hist.price, si.price)';
+                historyJoin = InventoryHistoryService.asOfJoin(cutoffParam);
+                whereConditions.push(`si.created_at < ${cutoffParam}`);
+            }
+
             let queryBase = `
         SELECT 
+          si.id as inventory_id,
           pc.id as product_id,
           pc.name as product_name,
           pc.sku,
-          pc.category,
+          pc.category_id,
+          cat.name as category,
+          pc.parent_id,
+          parent.name as parent_name,
+          pc.attribute_values,
           s.id as store_id,
           s.name as store_name,
-          si.quantity,
-          si.price,
-          pc.base_price
+          s.costing_method,
+          ${quantityColumn} as quantity,
+          ${priceColumn} as price,
+          pc.base_price,
+          ${cutoff ? 'NULL' : INVENTORY_COST_VALUE_SQL} as cost_value,
+          ${availabilityColumns(quantityColumn)},
+          ${REORDER_SETTINGS_COLUMNS}
         FROM store_inventory si
         JOIN product_catalog pc ON si.product_id = pc.id
+        LEFT JOIN category cat ON pc.category_id = cat.id
+        LEFT JOIN product_catalog parent ON pc.parent_id = parent.id
         JOIN store s ON si.store_id = s.id
+        ${REORDER_DEFAULT_JOIN}
+        ${historyJoin}
+        ${reservedJoin(cutoffParam)}
       `;
 
             // Add filters
@@ -679,9 +1151,17 @@ export const InventoryController = {
                 whereConditions.push(`s.id = $${params.length}`);
             }
 
+            // Non-admins only see their own stores' inventory
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                whereConditions.push(`s.id = ANY($${params.length}::int[])`);
+            }
+
             if (category) {
-                params.push(category);
-                whereConditions.push(`pc.category = $${params.length}`);
+                const categoryRow = await CategoryService.resolve(db, category);
+                params.push(categoryRow.id);
+                whereConditions.push(CategoryService.subtreeCondition('pc.category_id', `$${params.length}`));
             }
 
             if (whereConditions.length > 0) {
@@ -691,17 +1171,31 @@ export const InventoryController = {
             // Execute query
             const result = await db.query(queryBase, params);
 
+            // Low stock means at or below the item's effective reorder point
+            const isLowStock = item => item.reorder_point !== null && item.quantity <= item.reorder_point;
+
+            // Cost value comes back as a numeric string (null when the cost is unknown)
+            if (cutoff) {
+                await InventoryHistoryService.applyCostValuesAsOf(db, result.rows, cutoff);
+            } else {
+                result.rows.forEach(item => {
+                    item.cost_value = parseFloat(item.cost_value) || 0;
+                });
+            }
+
             // Calculate summaries
             let totalValue = 0;
+            let totalCostValue = 0;
             let totalItems = 0;
             let lowStockCount = 0;
 
             result.rows.forEach(item => {
                 const itemValue = (item.price || item.base_price) * item.quantity;
                 totalValue += itemValue;
+                totalCostValue += item.cost_value;
                 totalItems += item.quantity;
 
-                if (item.quantity <= lowStockThreshold) {
+                if (isLowStock(item)) {
                     lowStockCount++;
                 }
             });
@@ -713,8 +1207,11 @@ export const InventoryController = {
                     storeGroups[item.store_id] = {
                         store_id: item.store_id,
                         store_name: item.store_name,
+                        costing_method: item.costing_method,
                         total_items: 0,
+                        reserved_items: 0,
                         total_value: 0,
+                        total_cost_value: 0,
                         low_stock_count: 0,
                         product_count: 0
                     };
@@ -722,35 +1219,84 @@ export const InventoryController = {
 
                 storeGroups[item.store_id].product_count++;
                 storeGroups[item.store_id].total_items += item.quantity;
+                storeGroups[item.store_id].reserved_items += item.reserved_quantity;
                 storeGroups[item.store_id].total_value += (item.price || item.base_price) * item.quantity;
+                storeGroups[item.store_id].total_cost_value += item.cost_value;
 
-                if (item.quantity <= lowStockThreshold) {
+                if (isLowStock(item)) {
                     storeGroups[item.store_id].low_stock_count++;
                 }
             });
 
-            // Group by category
+            // Group by category, rolled up to the ancestor at categoryLevel when given
+            // (categories shallower than that level stay as they are)
+            const categories = await CategoryService.loadAll(db);
             const categoryGroups = {};
             result.rows.forEach(item => {
-                const category = item.category || 'Uncategorized';
-
-                if (!categoryGroups[category]) {
-                    categoryGroups[category] = {
-                        category,
+                const fullPath = item.category_id ? categories.get(item.category_id).path : [];
+                const path = categoryLevel ? fullPath.slice(0, parseInt(categoryLevel)) : fullPath;
+                const groupId = path.length > 0 ? path[path.length - 1] : null;
+                const key = groupId ?? 'uncategorized';
+
+                if (!categoryGroups[key]) {
+                    categoryGroups[key] = {
+                        category_id: groupId,
+                        category: groupId ? categories.get(groupId).name : 'Uncategorized',
+                        category_path: groupId ? CategoryService.pathName(categories, path) : 'Uncategorized',
                         total_items: 0,
                         total_value: 0,
+                        total_cost_value: 0,
                         product_count: 0
                     };
                 }
 
-                categoryGroups[category].product_count++;
-                categoryGroups[category].total_items += item.quantity;
-                categoryGroups[category].total_value += (item.price || item.base_price) * item.quantity;
+                categoryGroups[key].product_count++;
+                categoryGroups[key].total_items += item.quantity;
+                categoryGroups[key].total_value += (item.price || item.base_price) * item.quantity;
+                categoryGroups[key].total_cost_value += item.cost_value;
             });
 
-            res.json({
+            // Optionally roll variant stock up to the parent product (across the stores reported)
+            const productGroups = {};
+            if (rollupVariants === 'true') {
+                result.rows.forEach(item => {
+                    const productId = item.parent_id || item.product_id;
+
+                    if (!productGroups[productId]) {
+                        productGroups[productId] = {
+                            product_id: productId,
+                            product_name: item.parent_id ? item.parent_name : item.product_name,
+                            category: item.category,
+                            variant_ids: new Set(),
+                            total_items: 0,
+                            reserved_items: 0,
+                            total_value: 0,
+                            total_cost_value: 0,
+                            low_stock_count: 0
+                        };
+                    }
+
+                    if (item.parent_id) {
+                        productGroups[productId].variant_ids.add(item.product_id);
+                    }
+
+                    productGroups[productId].total_items += item.quantity;
+                    productGroups[productId].reserved_items += item.reserved_quantity;
+                    productGroups[productId].total_value += (item.price || item.base_price) * item.quantity;
+                    productGroups[productId].total_cost_value += item.cost_value;
+
+                    if (isLowStock(item)) {
+                        productGroups[productId].low_stock_count++;
+                    }
+                });
+            }
+
+            const report = {
+                ...(asOf && { as_of: asOf }),
+                ...(categoryLevel && { category_level: parseInt(categoryLevel) }),
                 summary: {
                     total_value: parseFloat(totalValue.toFixed(2)),
+                    total_cost_value: parseFloat(totalCostValue.toFixed(2)),
                     total_items: totalItems,
                     product_count: result.rows.length,
                     store_count: Object.keys(storeGroups).length,
@@ -759,37 +1305,66 @@ export const InventoryController = {
                 },
                 by_store: Object.values(storeGroups).map(store => ({
                     ...store,
-                    total_value: parseFloat(store.total_value.toFixed(2))
+                    total_value: parseFloat(store.total_value.toFixed(2)),
+                    total_cost_value: parseFloat(store.total_cost_value.toFixed(2))
                 })),
                 by_category: Object.values(categoryGroups).map(cat => ({
                     ...cat,
-                    total_value: parseFloat(cat.total_value.toFixed(2))
+                    total_value: parseFloat(cat.total_value.toFixed(2)),
+                    total_cost_value: parseFloat(cat.total_cost_value.toFixed(2))
                 })),
+                ...(rollupVariants === 'true' && {
+                    by_product: Object.values(productGroups).map(({ variant_ids, ...product }) => ({
+                        ...product,
+                        variant_count: variant_ids.size,
+                        total_value: parseFloat(product.total_value.toFixed(2)),
+                        total_cost_value: parseFloat(product.total_cost_value.toFixed(2))
+                    }))
+                }),
                 low_stock_items: result.rows
-                    .filter(item => item.quantity <= lowStockThreshold)
+                    .filter(isLowStock)
                     .sort((a, b) => a.quantity - b.quantity)
-            });
+            };
+
+            // CSV carries one section (?section=), XLSX a sheet per section
+            if (format !== 'json') {
+                return await sendReport(res, format, 'inventory-report', {
+                    ...report,
+                    summary: { ...(asOf && { as_of: asOf }), ...report.summary }
+                }, report.by_product ? { ...INVENTORY_REPORT_SHEETS, by_product: 'By product' } : INVENTORY_REPORT_SHEETS, section);
+            }
+
+            res.json(report);
         } catch (error) {
             next(error);
         }
     },
 
     /**
-     * Get stock movement report with aggregations
+     * Get stock movement report with aggregations (non-admins: their stores only)
      */
     async getMovementReport(req, res, next) {
         try {
+            const format = getExportFormat(req);
             const {
                 startDate,
                 endDate,
                 storeId,
-                groupBy = 'date' // 'date', 'store', 'product', 'type'
+                groupBy = 'date', // 'date', 'store', 'product', 'type'
+                section = 'data'
             } = req.query;
 
             if (!startDate || !endDate) {
                 return res.status(400).json({ error: 'Start date and end date are required' });
             }
 
+            if (storeId && !hasStoreAccess(req.user, storeId)) {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'You do not have permission to access data for this store'
+                });
+            }
+
             let params = [startDate, endDate];
             let whereConditions = [`sm.created_at >= $1`, `sm.created_at <= $2`];
 
@@ -798,7 +1373,15 @@ export const InventoryController = {
                 whereConditions.push(`sm.store_id = $${params.length}`);
             }
 
-            // Base query
+            // Non-admins only see their own stores' movements
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                whereConditions.push(`sm.store_id = ANY($${params.length}::int[])`);
+            }
+
+            // Base query - movements are valued at the price stored when they were posted
+            // (price_is_estimated marks older movements backfilled at a later price)
             let queryBase = `
         SELECT 
           sm.id,
@@ -811,12 +1394,14 @@ export const InventoryController = {
           sm.type,
           sm.reference_id,
           sm.created_at,
-          pc.base_price,
-          si.price
+          sm.total_cost,
+          sm.unit_price,
+          sm.discount_amount,
+          sm.net_value,
+          sm.price_is_estimated
         FROM stock_movement sm
         JOIN product_catalog pc ON sm.product_id = pc.id
         JOIN store s ON sm.store_id = s.id
-        LEFT JOIN store_inventory si ON sm.store_id = si.store_id AND sm.product_id = si.product_id
         WHERE ${whereConditions.join(' AND ')}
       `;
 
@@ -840,6 +1425,7 @@ export const InventoryController = {
                                 stock_in_value: 0,
                                 sales: 0,
                                 sales_value: 0,
+                                sales_cost: 0,
                                 removals: 0,
                                 removals_value: 0,
                                 transfers: 0,
@@ -847,8 +1433,7 @@ export const InventoryController = {
                             };
                         }
 
-                        const price = row.price || row.base_price;
-                        const value = price * row.quantity;
+                        const value = parseFloat(row.net_value);
 
                         groupedData[date].total_movements++;
 
@@ -860,6 +1445,7 @@ export const InventoryController = {
                             case 'SALE':
                                 groupedData[date].sales += row.quantity;
                                 groupedData[date].sales_value += value;
+                                groupedData[date].sales_cost += parseFloat(row.total_cost) || 0;
                                 break;
                             case 'REMOVAL':
                                 groupedData[date].removals += row.quantity;
@@ -887,6 +1473,7 @@ export const InventoryController = {
                                 stock_in_value: 0,
                                 sales: 0,
                                 sales_value: 0,
+                                sales_cost: 0,
                                 removals: 0,
                                 removals_value: 0,
                                 transfers: 0,
@@ -894,8 +1481,7 @@ export const InventoryController = {
                             };
                         }
 
-                        const price = row.price || row.base_price;
-                        const value = price * row.quantity;
+                        const value = parseFloat(row.net_value);
 
                         groupedData[storeId].total_movements++;
 
@@ -907,6 +1493,7 @@ export const InventoryController = {
                             case 'SALE':
                                 groupedData[storeId].sales += row.quantity;
                                 groupedData[storeId].sales_value += value;
+                                groupedData[storeId].sales_cost += parseFloat(row.total_cost) || 0;
                                 break;
                             case 'REMOVAL':
                                 groupedData[storeId].removals += row.quantity;
@@ -935,6 +1522,7 @@ export const InventoryController = {
                                 stock_in_value: 0,
                                 sales: 0,
                                 sales_value: 0,
+                                sales_cost: 0,
                                 removals: 0,
                                 removals_value: 0,
                                 transfers: 0,
@@ -942,8 +1530,7 @@ export const InventoryController = {
                             };
                         }
 
-                        const price = row.price || row.base_price;
-                        const value = price * row.quantity;
+                        const value = parseFloat(row.net_value);
 
                         groupedData[productId].total_movements++;
 
@@ -955,6 +1542,7 @@ export const InventoryController = {
                             case 'SALE':
                                 groupedData[productId].sales += row.quantity;
                                 groupedData[productId].sales_value += value;
+                                groupedData[productId].sales_cost += parseFloat(row.total_cost) || 0;
                                 break;
                             case 'REMOVAL':
                                 groupedData[productId].removals += row.quantity;
@@ -976,16 +1564,17 @@ export const InventoryController = {
                                 type: row.type,
                                 total_movements: 0,
                                 total_quantity: 0,
-                                total_value: 0
+                                total_value: 0,
+                                total_cost: 0
                             };
                         }
 
-                        const price = row.price || row.base_price;
-                        const value = price * row.quantity;
+                        const value = parseFloat(row.net_value);
 
                         groupedData[row.type].total_movements++;
                         groupedData[row.type].total_quantity += row.quantity;
                         groupedData[row.type].total_value += value;
+                        groupedData[row.type].total_cost += parseFloat(row.total_cost) || 0;
                     });
                     break;
             }
@@ -997,15 +1586,22 @@ export const InventoryController = {
                 if (group.removals_value) group.removals_value = parseFloat(group.removals_value.toFixed(2));
                 if (group.transfers_value) group.transfers_value = parseFloat(group.transfers_value.toFixed(2));
                 if (group.total_value) group.total_value = parseFloat(group.total_value.toFixed(2));
+                if (group.total_cost) group.total_cost = parseFloat(group.total_cost.toFixed(2));
+                if (group.sales_cost !== undefined) {
+                    group.sales_cost = parseFloat(group.sales_cost.toFixed(2));
+                    group.gross_margin = parseFloat((group.sales_value - group.sales_cost).toFixed(2));
+                }
             });
 
             // Calculate totals
             const totals = {
                 total_movements: result.rows.length,
+                estimated_price_movements: result.rows.filter(row => row.price_is_estimated).length,
                 stock_in: 0,
                 stock_in_value: 0,
                 sales: 0,
                 sales_value: 0,
+                sales_cost: 0,
                 removals: 0,
                 removals_value: 0,
                 transfers: 0,
@@ -1013,8 +1609,7 @@ export const InventoryController = {
             };
 
             result.rows.forEach(row => {
-                const price = row.price || row.base_price;
-                const value = price * row.quantity;
+                const value = parseFloat(row.net_value);
 
                 switch (row.type) {
                     case 'STOCK_IN':
@@ -1024,6 +1619,7 @@ export const InventoryController = {
                     case 'SALE':
                         totals.sales += row.quantity;
                         totals.sales_value += value;
+                        totals.sales_cost += parseFloat(row.total_cost) || 0;
                         break;
                     case 'REMOVAL':
                         totals.removals += row.quantity;
@@ -1039,19 +1635,130 @@ export const InventoryController = {
             // Format totals
             totals.stock_in_value = parseFloat(totals.stock_in_value.toFixed(2));
             totals.sales_value = parseFloat(totals.sales_value.toFixed(2));
+            totals.sales_cost = parseFloat(totals.sales_cost.toFixed(2));
+            totals.gross_margin = parseFloat((totals.sales_value - totals.sales_cost).toFixed(2));
             totals.removals_value = parseFloat(totals.removals_value.toFixed(2));
             totals.transfers_value = parseFloat(totals.transfers_value.toFixed(2));
 
-            res.json({
+            const report = {
                 report_period: {
                     start_date: startDate,
                     end_date: endDate
                 },
                 summary: totals,
                 data: Object.values(groupedData)
-            });
+            };
+
+            if (format !== 'json') {
+                return await sendReport(res, format, 'movement-report', {
+                    summary: { start_date: startDate, end_date: endDate, ...totals },
+                    data: report.data
+                }, { summary: 'Summary', data: `By ${groupBy}` }, section);
+            }
+
+            res.json(report);
         } catch (error) {
             next(error);
         }
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Fetch one page of stock movements newest first, after the (created_at, id) position
+ * in `cursor` when given. One extra row is read to tell whether another page follows;
+ * nextCursor is null on the last page. The cursor timestamp is read back as text
+ * because JS dates would drop its microseconds.
+ */
+async function fetchMovementPage(selectBase, whereConditions, params, { cursor = null, limit, offset = 0 }) {
+    const pageParams = [...params];
+    const conditions = [...whereConditions];
+
+    if (cursor) {
+        pageParams.push(cursor.createdAt, cursor.id);
+        conditions.push(`(sm.created_at, sm.id) < ($${pageParams.length - 1}::timestamp, $${pageParams.length})`);
+    }
+
+    pageParams.push(limit + 1, offset);
+
+    const result = await db.query(
+        `SELECT movement.*, movement.created_at::text as cursor_created_at
+      FROM (
+        ${selectBase}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ) as movement
+      ORDER BY movement.created_at DESC, movement.id DESC
+      LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+        pageParams
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+        movements: rows.map(({ cursor_created_at, ...movement }) => movement),
+        position: last ? { createdAt: last.cursor_created_at, id: last.id } : null,
+        nextCursor: result.rows.length > limit ? encodeCursor({ createdAt: last.cursor_created_at, id: last.id }) : null
+    };
+}
+
+/**
+ * Decode a movement listing cursor, rejecting ones that do not hold a (created_at, id) position
+ */
+function decodeMovementCursor(cursor) {
+    const position = decodeCursor(cursor, ['createdAt', 'id']);
+
+    if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(position.createdAt) || !Number.isInteger(position.id)) {
+        throw new HttpError(400, 'Invalid pagination cursor');
+    }
+
+    return position;
+}
+
+/**
+ * Yield stock movements newest first in batches, paging by (created_at, id) so
+ * exports stay consistent and cheap however deep they go
+ */
+async function* fetchMovementBatches(selectBase, whereConditions, params) {
+    let cursor = null;
+
+    while (true) {
+        const { movements, position, nextCursor } = await fetchMovementPage(selectBase, whereConditions, params, {
+            cursor,
+            limit: EXPORT_BATCH_SIZE
+        });
+
+        if (movements.length > 0) {
+            yield movements;
+        }
+
+        if (!nextCursor) return;
+
+        cursor = position;
+    }
+}
+
+/**
+ * Validate reorder settings; each may be omitted or null
+ * Returns an error message, or null when the settings are valid
+ */
+function validateReorderSettings({ reorderPoint, reorderQuantity, maxStock }) {
+    const isSet = value => value !== undefined && value !== null;
+
+    if (isSet(reorderPoint) && (!Number.isInteger(reorderPoint) || reorderPoint < 0)) {
+        return 'Reorder point must be a whole number of zero or more';
+    }
+
+    if (isSet(reorderQuantity) && (!Number.isInteger(reorderQuantity) || reorderQuantity <= 0)) {
+        return 'Reorder quantity must be a whole number greater than zero';
+    }
+
+    if (isSet(maxStock) && (!Number.isInteger(maxStock) || maxStock <= 0)) {
+        return 'Max stock must be a whole number greater than zero';
+    }
+
+    if (isSet(reorderPoint) && isSet(maxStock) && maxStock < reorderPoint) {
+        return 'Max stock cannot be below the reorder point';
+    }
+
+    return null;
+}
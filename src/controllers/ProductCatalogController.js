@@ -1,4 +1,51 @@
 import { db } from '../config/database.js';
+import { HttpError } from '../utils/HttpError.js';
+import { parseCsv } from '../utils/csv.js';
+import { normalizeGtin } from '../utils/gtin.js';
+import { BarcodeService } from '../services/BarcodeService.js';
+import { StockService } from '../services/StockService.js';
+import { CategoryService } from '../services/CategoryService.js';
+import { AuditService } from '../services/AuditService.js';
+
+// Product rows with the name and slug of their category
+const PRODUCT_SELECT = `
+        SELECT pc.*, cat.name as category, cat.slug as category_slug
+        FROM product_catalog pc
+        LEFT JOIN category cat ON pc.category_id = cat.id`;
+
+// Columns accepted by the CSV import (name and base_price are required)
+const IMPORT_COLUMNS = ['name', 'sku', 'description', 'base_price', 'category'];
+const IMPORT_MODES = ['create', 'upsert'];
+
+// Largest base price product_catalog.base_price (DECIMAL(10,2)) can hold
+const MAX_BASE_PRICE = 99999999.99;
+
+// Lifecycle statuses each status may move to (archived products can be restored)
+const STATUS_TRANSITIONS = {
+    DRAFT: ['ACTIVE', 'ARCHIVED'],
+    ACTIVE: ['DISCONTINUED', 'ARCHIVED'],
+    DISCONTINUED: ['ACTIVE', 'ARCHIVED'],
+    ARCHIVED: ['ACTIVE', 'DISCONTINUED']
+};
+const PRODUCT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Weighted full-text vector of a product (pc) and its category (cat). The product part
+// must match the expression indexed by migration 016_product_search.
+const PRODUCT_SEARCH_VECTOR = `(
+           setweight(to_tsvector('english', COALESCE(pc.name, '')), 'A') ||
+           setweight(to_tsvector('simple', COALESCE(pc.sku, '')), 'B') ||
+           setweight(to_tsvector('english', COALESCE(pc.description, '')), 'D') ||
+           setweight(to_tsvector('english', COALESCE(cat.name, '')), 'C')
+         )`;
+
+// Price bands for search facets (max is exclusive; null means no upper bound)
+const PRICE_BANDS = [
+    { label: 'Under 10', min: 0, max: 10 },
+    { label: '10 to 25', min: 10, max: 25 },
+    { label: '25 to 50', min: 25, max: 50 },
+    { label: '50 to 100', min: 50, max: 100 },
+    { label: '100 and over', min: 100, max: null }
+];
 
 export const ProductCatalogController = {
     /**
@@ -13,29 +60,41 @@ export const ProductCatalogController = {
                 sortOrder = 'ASC',
                 minPrice,
                 maxPrice,
-                category
+                category, // Category ID, slug or name; includes its subcategories
+                status, // Comma-separated lifecycle statuses; all but ARCHIVED by default
+                includeVariants // 'true' lists variants alongside top-level products
             } = req.query;
 
+            const statuses = parseStatusFilter(status);
+            if (!statuses) {
+                return res.status(400).json({ error: `Status must be a comma-separated list of: ${PRODUCT_STATUSES.join(', ')}` });
+            }
+
             const offset = (page - 1) * limit;
-            let params = [];
-            let whereConditions = [];
-            let queryCount = 'SELECT COUNT(*) FROM product_catalog';
-            let query = 'SELECT * FROM product_catalog';
+            let params = [statuses];
+            let whereConditions = ['pc.status = ANY($1::text[])'];
+
+            if (includeVariants !== 'true') {
+                whereConditions.push('pc.parent_id IS NULL');
+            }
+            let queryCount = 'SELECT COUNT(*) FROM product_catalog pc';
+            let query = PRODUCT_SELECT;
 
             // Build WHERE conditions
             if (minPrice) {
                 params.push(parseFloat(minPrice));
-                whereConditions.push(`base_price >= $${params.length}`);
+                whereConditions.push(`pc.base_price >= $${params.length}`);
             }
 
             if (maxPrice) {
                 params.push(parseFloat(maxPrice));
-                whereConditions.push(`base_price <= $${params.length}`);
+                whereConditions.push(`pc.base_price <= $${params.length}`);
             }
 
             if (category) {
-                params.push(category);
-                whereConditions.push(`category = $${params.length}`);
+                const categoryRow = await CategoryService.resolve(db, category);
+                params.push(categoryRow.id);
+                whereConditions.push(CategoryService.subtreeCondition('pc.category_id', `$${params.length}`));
             }
 
             // Add WHERE clause if conditions exist
@@ -54,7 +113,7 @@ export const ProductCatalogController = {
                 : 'ASC';
 
             // Add sorting
-            query += ` ORDER BY ${validSortBy} ${validSortOrder}`;
+            query += ` ORDER BY pc.${validSortBy} ${validSortOrder}`;
 
             // Add pagination
             query += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
@@ -64,6 +123,8 @@ export const ProductCatalogController = {
             const countResult = await db.query(queryCount, params.slice(0, params.length - 2));
             const result = await db.query(query, params);
 
+            await attachVariantMatrix(db, result.rows);
+
             // Calculate total pages
             const total = parseInt(countResult.rows[0].count);
             const totalPages = Math.ceil(total / limit);
@@ -94,7 +155,7 @@ export const ProductCatalogController = {
             }
 
             const result = await db.query(
-                'SELECT * FROM product_catalog WHERE id = $1',
+                `${PRODUCT_SELECT} WHERE pc.id = $1`,
                 [id]
             );
 
@@ -102,6 +163,8 @@ export const ProductCatalogController = {
                 return res.status(404).json({ error: 'Product not found' });
             }
 
+            const product = result.rows[0];
+
             // Fetch inventory data across all stores
             const inventoryResult = await db.query(
                 `SELECT si.store_id, s.name as store_name, si.quantity, si.price
@@ -111,9 +174,28 @@ export const ProductCatalogController = {
                 [id]
             );
 
+            // Alternate units of measure, smallest first
+            const unitsResult = await db.query(
+                'SELECT unit, factor FROM product_unit WHERE product_id = $1 ORDER BY factor',
+                [id]
+            );
+            product.units = unitsResult.rows;
+            product.barcodes = await BarcodeService.listForProduct(db, id);
+
+            // Parents carry their variant matrix; variants name their parent
+            await attachVariantMatrix(db, [product]);
+
+            if (product.parent_id) {
+                const parentResult = await db.query(
+                    'SELECT id, name, sku, variant_attributes FROM product_catalog WHERE id = $1',
+                    [product.parent_id]
+                );
+                product.parent = parentResult.rows[0];
+            }
+
             // Return product with its inventory data
             res.json({
-                ...result.rows[0],
+                ...product,
                 inventory: inventoryResult.rows
             });
         } catch (error) {
@@ -122,17 +204,34 @@ export const ProductCatalogController = {
     },
 
     /**
-     * Create a new product
+     * Create a new product. The category may be given as categoryId, or as
+     * category (an ID, slug or name). New products are ACTIVE unless status is DRAFT.
      */
     async createProduct(req, res, next) {
         try {
-            const { name, sku, description, basePrice, category } = req.body;
+            const { name, sku, description, basePrice, categoryId, category, variantAttributes, baseUnit, status = 'ACTIVE' } = req.body;
 
             // Validate required fields
             if (!name || !basePrice) {
                 return res.status(400).json({ error: 'Name and base price are required' });
             }
 
+            if (!['DRAFT', 'ACTIVE'].includes(String(status).toUpperCase())) {
+                return res.status(400).json({ error: 'New products must be DRAFT or ACTIVE' });
+            }
+
+            if (baseUnit !== undefined && !isValidUnitName(baseUnit)) {
+                return res.status(400).json({ error: 'Base unit must be a name of at most 20 characters' });
+            }
+
+            // A product with variant attributes is a parent; its stock is held by its variants
+            if (variantAttributes !== undefined && variantAttributes !== null) {
+                const attributesError = validateVariantAttributes(variantAttributes);
+                if (attributesError) {
+                    return res.status(400).json({ error: attributesError });
+                }
+            }
+
             // Check if SKU already exists
             if (sku) {
                 const existingProduct = await db.query(
@@ -145,27 +244,54 @@ export const ProductCatalogController = {
                 }
             }
 
-            // Insert new product
-            const result = await db.query(
-                `INSERT INTO product_catalog (name, sku, description, base_price, category)
-         VALUES ($1, $2, $3, $4, $5)
-         RETURNING *`,
-                [name, sku, description, basePrice, category]
-            );
+            const newCategoryId = await resolveCategoryId(db, { categoryId, category });
+
+            const product = await db.transaction(async (client) => {
+                // Insert new product
+                const result = await client.query(
+                    `INSERT INTO product_catalog 
+           (name, sku, description, base_price, category_id, variant_attributes, base_unit, status, activated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::text, CASE WHEN $8::text = 'ACTIVE' THEN CURRENT_TIMESTAMP END)
+         RETURNING id`,
+                    [
+                        name,
+                        sku,
+                        description,
+                        basePrice,
+                        newCategoryId ?? null,
+                        variantAttributes ? JSON.stringify(variantAttributes) : null,
+                        baseUnit || 'each',
+                        String(status).toUpperCase()
+                    ]
+                );
+
+                const created = await selectProduct(client, result.rows[0].id);
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'product',
+                    entityId: created.id,
+                    after: created
+                });
 
-            res.status(201).json(result.rows[0]);
+                return created;
+            });
+
+            res.status(201).json(product);
         } catch (error) {
             next(error);
         }
     },
 
     /**
-     * Update an existing product
+     * Update an existing product.
+     * On a variant, basePrice sets its price override (null follows the parent again)
+     * and attributes changes its attribute values; parents pass price and category on to their variants.
      */
     async updateProduct(req, res, next) {
         try {
             const { id } = req.params;
-            const { name, sku, description, basePrice, category } = req.body;
+            const { name, sku, description, basePrice, categoryId, category, variantAttributes, attributes } = req.body;
 
             if (!id || isNaN(parseInt(id))) {
                 return res.status(400).json({ error: 'Valid product ID is required' });
@@ -182,6 +308,30 @@ export const ProductCatalogController = {
             }
 
             const currentProduct = existingProduct.rows[0];
+            const isVariant = currentProduct.parent_id !== null;
+
+            if (isVariant && variantAttributes !== undefined) {
+                return res.status(400).json({ error: 'A variant cannot have variants of its own' });
+            }
+
+            if (isVariant && (categoryId !== undefined || category !== undefined)) {
+                return res.status(400).json({ error: 'A variant takes its category from its parent product' });
+            }
+
+            if (!isVariant && attributes !== undefined) {
+                return res.status(400).json({ error: 'Only variants have attribute values' });
+            }
+
+            if (isVariant && basePrice !== undefined && basePrice !== null && (typeof basePrice !== 'number' || basePrice < 0)) {
+                return res.status(400).json({ error: 'Price override must be a number of zero or more, or null' });
+            }
+
+            if (variantAttributes !== undefined && variantAttributes !== null) {
+                const attributesError = validateVariantAttributes(variantAttributes);
+                if (attributesError) {
+                    return res.status(400).json({ error: attributesError });
+                }
+            }
 
             // Check if new SKU (if provided) already exists on a different product
             if (sku && sku !== currentProduct.sku) {
@@ -195,36 +345,504 @@ export const ProductCatalogController = {
                 }
             }
 
-            // Update product
-            const result = await db.query(
-                `UPDATE product_catalog 
-         SET 
-           name = $1, 
-           sku = $2, 
-           description = $3, 
-           base_price = $4,
-           category = $5,
-           updated_at = CURRENT_TIMESTAMP
-         WHERE id = $6
-         RETURNING *`,
-                [
-                    name || currentProduct.name,
-                    sku || currentProduct.sku,
-                    description !== undefined ? description : currentProduct.description,
-                    basePrice || currentProduct.base_price,
-                    category !== undefined ? category : currentProduct.category,
-                    id
-                ]
-            );
+            const product = await db.transaction(async (client) => {
+                const before = await selectProduct(client, id);
+                const newCategoryId = await resolveCategoryId(client, { categoryId, category });
+
+                // Variant attributes can only change while no variants or stock depend on them
+                if (variantAttributes !== undefined) {
+                    const dependents = await client.query(
+                        `SELECT 
+            (SELECT COUNT(*) FROM product_catalog WHERE parent_id = $1) as variant_count,
+            (SELECT COUNT(*) FROM store_inventory WHERE product_id = $1) as inventory_count`,
+                        [id]
+                    );
+
+                    if (parseInt(dependents.rows[0].variant_count) > 0) {
+                        throw new HttpError(409, 'Variant attributes cannot change once the product has variants');
+                    }
+
+                    if (variantAttributes !== null && parseInt(dependents.rows[0].inventory_count) > 0) {
+                        throw new HttpError(409, 'A product with inventory records cannot become a parent product');
+                    }
+                }
+
+                let newBasePrice = basePrice || currentProduct.base_price;
+                let priceOverride = null;
+                let attributeValues = currentProduct.attribute_values;
+
+                if (isVariant) {
+                    const parent = await findParentProduct(client, currentProduct.parent_id);
+
+                    priceOverride = basePrice !== undefined ? basePrice : currentProduct.price_override;
+                    newBasePrice = priceOverride ?? parent.base_price;
+
+                    if (attributes !== undefined) {
+                        await assertVariantValuesAvailable(client, parent, attributes, id);
+                        attributeValues = attributes;
+                    }
+                }
+
+                // Update product
+                await client.query(
+                    `UPDATE product_catalog 
+           SET 
+             name = $1, 
+             sku = $2, 
+             description = $3, 
+             base_price = $4,
+             category_id = $5,
+             variant_attributes = $6,
+             attribute_values = $7,
+             price_override = $8,
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = $9`,
+                    [
+                        name || currentProduct.name,
+                        sku || currentProduct.sku,
+                        description !== undefined ? description : currentProduct.description,
+                        newBasePrice,
+                        newCategoryId !== undefined ? newCategoryId : currentProduct.category_id,
+                        toJsonb(variantAttributes !== undefined ? variantAttributes : currentProduct.variant_attributes),
+                        toJsonb(attributeValues),
+                        priceOverride,
+                        id
+                    ]
+                );
+
+                await syncVariants(client, id);
+
+                const after = await selectProduct(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'UPDATE',
+                    entityType: 'product',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json(product);
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Add a variant to a parent product. The variant gets its own SKU and stock;
+     * basePrice is an optional price override, otherwise it sells at the parent's price.
+     */
+    async createVariant(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { name, sku, description, basePrice, attributes } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid product ID is required' });
+            }
+
+            if (!sku) {
+                return res.status(400).json({ error: 'Variant SKU is required' });
+            }
+
+            if (basePrice !== undefined && basePrice !== null && (typeof basePrice !== 'number' || basePrice < 0)) {
+                return res.status(400).json({ error: 'Price override must be a number of zero or more' });
+            }
+
+            const variant = await db.transaction(async (client) => {
+                // Lock the parent so its price and category cannot change under the new variant
+                const parent = await findParentProduct(client, id, { lock: true });
+
+                if (parent.status === 'ARCHIVED') {
+                    throw new HttpError(409, 'Cannot add variants to an archived product');
+                }
+
+                const skuCheck = await client.query(
+                    'SELECT id FROM product_catalog WHERE sku = $1',
+                    [sku]
+                );
+
+                if (skuCheck.rows.length > 0) {
+                    throw new HttpError(409, 'A product with this SKU already exists');
+                }
+
+                await assertVariantValuesAvailable(client, parent, attributes);
+
+                // Default name: "T-Shirt (M / Red)"
+                const variantName = name ||
+                    `${parent.name} (${parent.variant_attributes.map(attribute => attributes[attribute]).join(' / ')})`;
+
+                if (variantName.length > 100) {
+                    throw new HttpError(400, 'Variant name must be at most 100 characters');
+                }
+
+                const result = await client.query(
+                    `INSERT INTO product_catalog 
+             (name, sku, description, base_price, category_id, parent_id, attribute_values, price_override, status, activated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::text, CASE WHEN $9::text = 'ACTIVE' THEN CURRENT_TIMESTAMP END)
+           RETURNING id`,
+                    [
+                        variantName,
+                        sku,
+                        description !== undefined ? description : parent.description,
+                        basePrice ?? parent.base_price,
+                        parent.category_id,
+                        parent.id,
+                        toJsonb(attributes),
+                        basePrice ?? null,
+                        parent.status // A variant starts in its parent's status
+                    ]
+                );
+
+                const created = await selectProduct(client, result.rows[0].id);
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'product',
+                    entityId: created.id,
+                    after: created
+                });
+
+                return created;
+            });
+
+            res.status(201).json(variant);
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Set a product's base unit and replace its alternate units ({ unit, factor } where
+     * factor is the number of base units in one of that unit, e.g. { unit: 'case', factor: 12 }).
+     * The base unit is fixed once stock has moved, since movements are stored in it.
+     */
+    async setProductUnits(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { baseUnit, units = [] } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid product ID is required' });
+            }
+
+            if (baseUnit !== undefined && !isValidUnitName(baseUnit)) {
+                return res.status(400).json({ error: 'Base unit must be a name of at most 20 characters' });
+            }
+
+            if (!Array.isArray(units)) {
+                return res.status(400).json({ error: 'Units must be a list of { unit, factor }' });
+            }
+
+            for (const entry of units) {
+                if (!isValidUnitName(entry?.unit)) {
+                    return res.status(400).json({ error: 'Each unit needs a name of at most 20 characters' });
+                }
+
+                if (!Number.isInteger(entry.factor) || entry.factor <= 1) {
+                    return res.status(400).json({ error: 'Each unit factor must be a whole number of base units greater than one' });
+                }
+            }
+
+            if (new Set(units.map(entry => entry.unit)).size !== units.length) {
+                return res.status(400).json({ error: 'Each unit may only appear once' });
+            }
+
+            const product = await db.transaction(async (client) => {
+                const productResult = await client.query(
+                    'SELECT * FROM product_catalog WHERE id = $1 FOR UPDATE',
+                    [id]
+                );
+
+                if (productResult.rows.length === 0) {
+                    throw new HttpError(404, 'Product not found');
+                }
+
+                const newBaseUnit = baseUnit || productResult.rows[0].base_unit;
+                const before = {
+                    product_id: parseInt(id),
+                    base_unit: productResult.rows[0].base_unit,
+                    units: await getProductUnits(client, id)
+                };
+
+                if (units.some(entry => entry.unit === newBaseUnit)) {
+                    throw new HttpError(400, 'The base unit cannot also be an alternate unit');
+                }
+
+                // Pack barcodes must keep pointing at a configured unit
+                const barcodeUnits = await client.query(
+                    'SELECT DISTINCT unit FROM product_barcode WHERE product_id = $1 AND unit IS NOT NULL',
+                    [id]
+                );
+                const orphaned = barcodeUnits.rows
+                    .map(row => row.unit)
+                    .filter(unit => unit !== newBaseUnit && !units.some(entry => entry.unit === unit));
+
+                if (orphaned.length > 0) {
+                    throw new HttpError(409, 'Units used by barcodes cannot be removed', { units: orphaned });
+                }
+
+                if (newBaseUnit !== productResult.rows[0].base_unit) {
+                    const movementCheck = await client.query(
+                        'SELECT id FROM stock_movement WHERE product_id = $1 LIMIT 1',
+                        [id]
+                    );
+
+                    if (movementCheck.rows.length > 0) {
+                        throw new HttpError(409, 'Base unit cannot change once the product has stock movements');
+                    }
+
+                    await client.query(
+                        'UPDATE product_catalog SET base_unit = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                        [newBaseUnit, id]
+                    );
+                }
+
+                // Movements keep the unit and quantity they were entered in, so factors may change freely
+                await client.query('DELETE FROM product_unit WHERE product_id = $1', [id]);
+
+                for (const entry of units) {
+                    await client.query(
+                        'INSERT INTO product_unit (product_id, unit, factor) VALUES ($1, $2, $3)',
+                        [id, entry.unit, entry.factor]
+                    );
+                }
+
+                const after = { product_id: parseInt(id), base_unit: newBaseUnit, units: await getProductUnits(client, id) };
+
+                await AuditService.record(client, req, {
+                    action: 'UPDATE_UNITS',
+                    entityType: 'product',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Product units updated successfully',
+                ...product
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Add a barcode to a product. The code must pass GTIN check-digit validation
+     * and may name the unit it is printed on (e.g. the case barcode).
+     */
+    async addBarcode(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { barcode, unit } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid product ID is required' });
+            }
+
+            const gtin = normalizeGtin(barcode);
+            if (!gtin) {
+                return res.status(400).json({ error: 'Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14 code' });
+            }
+
+            const result = await db.transaction(async (client) => {
+                const productResult = await client.query(
+                    'SELECT * FROM product_catalog WHERE id = $1',
+                    [id]
+                );
+
+                if (productResult.rows.length === 0) {
+                    throw new HttpError(404, 'Product not found');
+                }
+
+                const product = productResult.rows[0];
+
+                if (product.variant_attributes) {
+                    throw new HttpError(400, 'Product has variants; barcodes belong on its variants');
+                }
+
+                if (unit !== undefined && unit !== null && unit !== product.base_unit) {
+                    const unitCheck = await client.query(
+                        'SELECT id FROM product_unit WHERE product_id = $1 AND unit = $2',
+                        [id, unit]
+                    );
+
+                    if (unitCheck.rows.length === 0) {
+                        throw new HttpError(400, `Unit ${unit} is not configured for this product`);
+                    }
+                }
+
+                const existing = await client.query(
+                    'SELECT product_id FROM product_barcode WHERE gtin = $1',
+                    [gtin]
+                );
+
+                if (existing.rows.length > 0) {
+                    throw new HttpError(409, 'This barcode is already assigned', {
+                        product_id: existing.rows[0].product_id
+                    });
+                }
+
+                // The base unit is implied, so only pack units are stored
+                const inserted = await client.query(
+                    `INSERT INTO product_barcode (product_id, gtin, unit)
+           VALUES ($1, $2, $3)
+           RETURNING gtin, unit, created_at`,
+                    [id, gtin, unit && unit !== product.base_unit ? unit : null]
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'product_barcode',
+                    entityId: gtin,
+                    after: { product_id: product.id, ...inserted.rows[0] }
+                });
 
-            res.json(result.rows[0]);
+                return inserted.rows[0];
+            });
+
+            res.status(201).json({
+                message: 'Barcode added successfully',
+                barcode: result
+            });
         } catch (error) {
             next(error);
         }
     },
 
     /**
-     * Delete a product
+     * Remove a barcode from a product
+     */
+    async removeBarcode(req, res, next) {
+        try {
+            const { id, barcode } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid product ID is required' });
+            }
+
+            await db.transaction(async (client) => {
+                const result = await client.query(
+                    'DELETE FROM product_barcode WHERE product_id = $1 AND gtin = $2 RETURNING *',
+                    [id, normalizeGtin(barcode)]
+                );
+
+                if (result.rows.length === 0) {
+                    throw new HttpError(404, 'Barcode not found on this product');
+                }
+
+                await AuditService.record(client, req, {
+                    action: 'DELETE',
+                    entityType: 'product_barcode',
+                    entityId: result.rows[0].gtin,
+                    before: result.rows[0]
+                });
+            });
+
+            res.json({ message: 'Barcode removed successfully' });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Look up a scanned barcode: the product plus its stock in the caller's primary store
+     * (?storeId= names another of their stores; admins may name any store)
+     */
+    async lookupBarcode(req, res, next) {
+        try {
+            const { code } = req.params;
+            const storeId = req.query.storeId || req.user.storeId;
+
+            const { gtin, unit, product } = await BarcodeService.findByCode(db, code);
+
+            // Stock is counted in the base unit; a pack barcode also says how many that is
+            let factor = 1;
+            if (unit) {
+                const unitResult = await db.query(
+                    'SELECT factor FROM product_unit WHERE product_id = $1 AND unit = $2',
+                    [product.id, unit]
+                );
+                factor = unitResult.rows[0]?.factor ?? 1;
+            }
+
+            let stock = null;
+            if (storeId) {
+                const stockResult = await db.query(
+                    `SELECT si.store_id, s.name as store_name, si.quantity, COALESCE(si.price, $3) as price
+          FROM store_inventory si
+          JOIN store s ON si.store_id = s.id
+          WHERE si.store_id = $1 AND si.product_id = $2`,
+                    [storeId, product.id, product.base_price]
+                );
+
+                const reserved = await StockService.getReservedQuantity(db, storeId, product.id);
+                const quantity = stockResult.rows[0]?.quantity ?? 0;
+
+                stock = {
+                    store_id: parseInt(storeId),
+                    store_name: stockResult.rows[0]?.store_name ?? null,
+                    quantity,
+                    price: stockResult.rows[0]?.price ?? product.base_price,
+                    reserved_quantity: reserved,
+                    available_quantity: quantity - reserved
+                };
+            }
+
+            res.json({
+                barcode: gtin,
+                unit: unit || product.base_unit,
+                unit_factor: factor,
+                product,
+                stock
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Move a product through its lifecycle (DRAFT, ACTIVE, DISCONTINUED, ARCHIVED).
+     * A parent's variants follow it; archiving requires that no stock, reservations,
+     * open purchase orders or transfers remain.
+     */
+    async updateProductStatus(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { status } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid product ID is required' });
+            }
+
+            if (!status || !PRODUCT_STATUSES.includes(String(status).toUpperCase())) {
+                return res.status(400).json({ error: `Status must be one of: ${PRODUCT_STATUSES.join(', ')}` });
+            }
+
+            const product = await db.transaction(async (client) => {
+                const current = await findProduct(client, id, { lock: true });
+                await changeProductStatus(client, req, current, String(status).toUpperCase(), 'STATUS_CHANGE');
+                return selectProduct(client, id);
+            });
+
+            res.json({
+                message: 'Product status updated successfully',
+                product
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Delete a product by archiving it: it leaves listings and search, while movements,
+     * reports and documents that reference it keep resolving it
      */
     async deleteProduct(req, res, next) {
         try {
@@ -234,73 +852,247 @@ export const ProductCatalogController = {
                 return res.status(400).json({ error: 'Valid product ID is required' });
             }
 
-            // Check if product exists
-            const existingProduct = await db.query(
-                'SELECT id FROM product_catalog WHERE id = $1',
-                [id]
-            );
+            const product = await db.transaction(async (client) => {
+                const current = await findProduct(client, id, { lock: true });
 
-            if (existingProduct.rows.length === 0) {
-                return res.status(404).json({ error: 'Product not found' });
+                if (current.status === 'ARCHIVED') {
+                    throw new HttpError(409, 'Product is already archived');
+                }
+
+                await changeProductStatus(client, req, current, 'ARCHIVED', 'ARCHIVE');
+                return selectProduct(client, id);
+            });
+
+            res.json({
+                message: 'Product archived successfully',
+                product
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Import products from a CSV body (Content-Type: text/csv).
+     * mode=create adds new (active) products and skips SKUs that already exist;
+     * mode=upsert updates the product with a matching SKU instead.
+     * dryRun=true validates and reports what would happen without writing.
+     * A real run is all-or-nothing: any invalid row rejects the whole file.
+     */
+    async importProducts(req, res, next) {
+        try {
+            const { mode = 'create', dryRun } = req.query;
+            const isDryRun = dryRun === 'true';
+
+            if (!IMPORT_MODES.includes(mode)) {
+                return res.status(400).json({ error: `Import mode must be one of: ${IMPORT_MODES.join(', ')}` });
             }
 
-            // Check if product has inventory or movement records
-            const inventoryCheck = await db.query(
-                'SELECT id FROM store_inventory WHERE product_id = $1 LIMIT 1',
-                [id]
-            );
+            if (typeof req.body !== 'string' || req.body.trim() === '') {
+                return res.status(400).json({ error: 'A CSV body is required (Content-Type: text/csv)' });
+            }
+
+            const [headerRow, ...dataRows] = parseCsv(req.body);
+            const header = headerRow.map(column => column.trim().toLowerCase());
 
-            if (inventoryCheck.rows.length > 0) {
-                return res.status(409).json({
-                    error: 'Cannot delete product with existing inventory records',
-                    message: 'Please remove all inventory records first'
+            const unknownColumns = header.filter(column => !IMPORT_COLUMNS.includes(column));
+            const missingColumns = ['name', 'base_price'].filter(column => !header.includes(column));
+
+            if (unknownColumns.length > 0 || missingColumns.length > 0) {
+                return res.status(400).json({
+                    error: 'CSV header is invalid',
+                    unknown_columns: unknownColumns,
+                    missing_columns: missingColumns,
+                    expected_columns: IMPORT_COLUMNS
                 });
             }
 
-            // Delete the product
-            await db.query('DELETE FROM product_catalog WHERE id = $1', [id]);
+            if (dataRows.length === 0) {
+                return res.status(400).json({ error: 'CSV has no product rows' });
+            }
+
+            const rows = parseImportRows(header, dataRows);
+
+            const report = await db.transaction(async (client) => {
+                const skus = rows.filter(row => row.product.sku).map(row => row.product.sku);
+                const existingResult = await client.query(
+                    `SELECT * FROM product_catalog WHERE sku = ANY($1::text[]) ${isDryRun ? '' : 'FOR UPDATE'}`,
+                    [skus]
+                );
+                const existingBySku = new Map(existingResult.rows.map(product => [product.sku, product]));
+
+                // Categories are matched against the tree by ID, slug or name; they are never created here
+                for (const row of rows) {
+                    if (row.errors.length > 0 || row.product.category === undefined) continue;
+
+                    const { category, ...product } = row.product;
+                    row.product = product;
+
+                    try {
+                        row.product.category_id = category === null ? null : (await CategoryService.resolve(client, category)).id;
+                    } catch (error) {
+                        if (!(error instanceof HttpError)) throw error;
+                        row.errors.push(error.message);
+                    }
+                }
+
+                // Decide what happens to each valid row
+                for (const row of rows) {
+                    if (row.errors.length > 0) {
+                        row.action = 'error';
+                        continue;
+                    }
+
+                    const existing = row.product.sku ? existingBySku.get(row.product.sku) : null;
+
+                    if (existing?.parent_id && mode === 'upsert') {
+                        row.errors.push('SKU belongs to a product variant; update variants individually');
+                        row.action = 'error';
+                        continue;
+                    }
+
+                    if (!existing) {
+                        row.action = 'create';
+                    } else if (mode === 'create') {
+                        row.action = 'skip';
+                        row.product_id = existing.id;
+                        row.conflict = 'A product with this SKU already exists';
+                    } else {
+                        row.product_id = existing.id;
+                        row.updates = { ...existing, ...row.product };
+                        row.action = isUnchanged(existing, row.updates) ? 'skip' : 'update';
+                    }
+                }
+
+                const summary = {
+                    total_rows: rows.length,
+                    created: rows.filter(row => row.action === 'create').length,
+                    updated: rows.filter(row => row.action === 'update').length,
+                    skipped: rows.filter(row => row.action === 'skip').length,
+                    invalid: rows.filter(row => row.action === 'error').length
+                };
+
+                const rowReports = rows.map(row => ({
+                    row: row.rowNumber,
+                    sku: row.product.sku,
+                    name: row.product.name,
+                    action: row.action,
+                    ...(row.product_id && { product_id: row.product_id }),
+                    ...(row.conflict && { conflict: row.conflict }),
+                    ...(row.errors.length > 0 && { errors: row.errors })
+                }));
+
+                if (isDryRun) {
+                    return { summary, rows: rowReports };
+                }
+
+                if (summary.invalid > 0) {
+                    throw new HttpError(400, 'CSV has invalid rows; nothing was imported', {
+                        summary,
+                        rows: rowReports.filter(row => row.action === 'error')
+                    });
+                }
+
+                for (const row of rows) {
+                    if (row.action === 'create') {
+                        const result = await client.query(
+                            `INSERT INTO product_catalog (name, sku, description, base_price, category_id, status, activated_at)
+               VALUES ($1, $2, $3, $4, $5, 'ACTIVE', CURRENT_TIMESTAMP)
+               RETURNING *`,
+                            [row.product.name, row.product.sku, row.product.description, row.product.base_price, row.product.category_id ?? null]
+                        );
+                        rowReports[rows.indexOf(row)].product_id = result.rows[0].id;
+
+                        await AuditService.record(client, req, {
+                            action: 'CREATE',
+                            entityType: 'product',
+                            entityId: result.rows[0].id,
+                            after: result.rows[0]
+                        });
+                    } else if (row.action === 'update') {
+                        const result = await client.query(
+                            `UPDATE product_catalog 
+               SET 
+                 name = $1, 
+                 description = $2, 
+                 base_price = $3,
+                 category_id = $4,
+                 updated_at = CURRENT_TIMESTAMP
+               WHERE id = $5
+               RETURNING *`,
+                            [row.updates.name, row.updates.description, row.updates.base_price, row.updates.category_id, row.product_id]
+                        );
+                        await syncVariants(client, row.product_id);
+
+                        await AuditService.record(client, req, {
+                            action: 'UPDATE',
+                            entityType: 'product',
+                            entityId: row.product_id,
+                            before: existingBySku.get(row.product.sku),
+                            after: result.rows[0]
+                        });
+                    }
+                }
 
-            res.json({ message: 'Product deleted successfully' });
+                return { summary, rows: rowReports };
+            });
+
+            res.json({
+                message: isDryRun ? 'Dry run completed; nothing was imported' : 'Products imported successfully',
+                dry_run: isDryRun,
+                mode,
+                ...report
+            });
         } catch (error) {
             next(error);
         }
     },
 
     /**
-     * Get products by category
+     * Get products in a category (ID, slug or name) and its subcategories
      */
     async getProductsByCategory(req, res, next) {
         try {
             const { category } = req.params;
-            const { page = 1, limit = 20 } = req.query;
+            const { page = 1, limit = 20, status } = req.query;
 
             if (!category) {
                 return res.status(400).json({ error: 'Category is required' });
             }
 
+            const statuses = parseStatusFilter(status);
+            if (!statuses) {
+                return res.status(400).json({ error: `Status must be a comma-separated list of: ${PRODUCT_STATUSES.join(', ')}` });
+            }
+
             const offset = (page - 1) * limit;
+            const categoryRow = await CategoryService.resolve(db, category);
+            const inSubtree = CategoryService.subtreeCondition('pc.category_id', '$1');
 
-            // Get products count
+            // Get products count (variants are listed under their parent)
             const countResult = await db.query(
-                'SELECT COUNT(*) FROM product_catalog WHERE category = $1',
-                [category]
+                `SELECT COUNT(*) FROM product_catalog pc
+         WHERE ${inSubtree} AND pc.parent_id IS NULL AND pc.status = ANY($2::text[])`,
+                [categoryRow.id, statuses]
             );
 
             // Get products with pagination
             const result = await db.query(
-                `SELECT * FROM product_catalog 
-         WHERE category = $1 
-         ORDER BY name 
-         LIMIT $2 OFFSET $3`,
-                [category, limit, offset]
+                `${PRODUCT_SELECT}
+         WHERE ${inSubtree} AND pc.parent_id IS NULL AND pc.status = ANY($2::text[])
+         ORDER BY pc.name 
+         LIMIT $3 OFFSET $4`,
+                [categoryRow.id, statuses, limit, offset]
             );
 
+            await attachVariantMatrix(db, result.rows);
+
             // Calculate total pages
             const total = parseInt(countResult.rows[0].count);
             const totalPages = Math.ceil(total / limit);
 
             res.json({
-                category,
+                category: categoryRow,
                 products: result.rows,
                 pagination: {
                     total,
@@ -315,42 +1107,169 @@ export const ProductCatalogController = {
     },
 
     /**
-     * Search products
+     * Search products, ranked by relevance. Full-text matches are weighted
+     * name > SKU > category > description; names within a typo or two of the query
+     * also match (trigram similarity), and an exact SKU always does.
+     * Filters: category (subcategories included), minPrice/maxPrice, status (all but
+     * ARCHIVED by default), and inStock=true with storeId for products (or their variants)
+     * with stock at that store.
+     * Facets count the matches by category and price band; each facet ignores its own
+     * filter so the other options stay visible.
      */
     async searchProducts(req, res, next) {
         try {
             const { query } = req.params;
-            const { page = 1, limit = 20 } = req.query;
+            const {
+                page = 1,
+                limit = 20,
+                sortBy = 'relevance',
+                sortOrder,
+                category,
+                minPrice,
+                maxPrice,
+                storeId,
+                inStock,
+                status
+            } = req.query;
 
             if (!query || query.trim() === '') {
                 return res.status(400).json({ error: 'Search query is required' });
             }
 
-            const searchTerm = `%${query}%`;
+            const statuses = parseStatusFilter(status);
+            if (!statuses) {
+                return res.status(400).json({ error: `Status must be a comma-separated list of: ${PRODUCT_STATUSES.join(', ')}` });
+            }
+
+            if (storeId !== undefined && isNaN(parseInt(storeId))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            if (inStock === 'true' && storeId === undefined) {
+                return res.status(400).json({ error: 'Store ID is required to filter by stock' });
+            }
+
             const offset = (page - 1) * limit;
+            const searchTerm = query.trim();
+
+            const matchCondition = `(
+           ${PRODUCT_SEARCH_VECTOR} @@ websearch_to_tsquery('english', $1) OR
+           $1 <<% pc.name OR
+           lower(pc.sku) = lower($1)
+         )`;
+
+            // Each filter belongs to a facet, which leaves it out when counting its options
+            const filters = [
+                { facet: 'status', value: statuses, condition: param => `pc.status = ANY(${param}::text[])` }
+            ];
+
+            if (category) {
+                const categoryRow = await CategoryService.resolve(db, category);
+                filters.push({
+                    facet: 'category',
+                    value: categoryRow.id,
+                    condition: param => CategoryService.subtreeCondition('pc.category_id', param)
+                });
+            }
+
+            if (minPrice) {
+                filters.push({ facet: 'price', value: parseFloat(minPrice), condition: param => `pc.base_price >= ${param}` });
+            }
+
+            if (maxPrice) {
+                filters.push({ facet: 'price', value: parseFloat(maxPrice), condition: param => `pc.base_price <= ${param}` });
+            }
+
+            if (inStock === 'true') {
+                filters.push({ facet: 'stock', value: parseInt(storeId), condition: param => `${storeQuantitySql(param)} > 0` });
+            }
+
+            // Append the filters' values to params (which starts with the search term)
+            const whereClause = (params, exclude = null) => {
+                const conditions = [matchCondition];
+
+                filters.filter(filter => filter.facet !== exclude).forEach(filter => {
+                    params.push(filter.value);
+                    conditions.push(filter.condition(`$${params.length}`));
+                });
+
+                return `WHERE ${conditions.join(' AND ')}`;
+            };
+
+            // Validate sort parameters to prevent SQL injection
+            const allowedSortColumns = ['relevance', 'name', 'base_price', 'sku', 'created_at'];
+            const validSortBy = allowedSortColumns.includes(sortBy) ? sortBy : 'relevance';
+            const defaultSortOrder = validSortBy === 'relevance' ? 'DESC' : 'ASC';
+            const validSortOrder = ['ASC', 'DESC'].includes(sortOrder?.toUpperCase())
+                ? sortOrder.toUpperCase()
+                : defaultSortOrder;
+            const orderBy = validSortBy === 'relevance'
+                ? `relevance ${validSortOrder}, pc.name`
+                : `pc.${validSortBy} ${validSortOrder}`;
 
             // Get matching products count
+            const countParams = [searchTerm];
             const countResult = await db.query(
-                `SELECT COUNT(*) FROM product_catalog 
-         WHERE 
-           name ILIKE $1 OR 
-           sku ILIKE $1 OR 
-           description ILIKE $1 OR
-           category ILIKE $1`,
-                [searchTerm]
+                `SELECT COUNT(*) FROM product_catalog pc
+         LEFT JOIN category cat ON pc.category_id = cat.id
+         ${whereClause(countParams)}`,
+                countParams
             );
 
-            // Get matching products with pagination
+            // Get matching products with pagination. Relevance adds the full-text rank, how closely
+            // the query matches a word run in the name (typos included) and a bonus for an exact name or SKU.
+            const params = [searchTerm];
+            let storeQuantityColumn = '';
+
+            if (storeId !== undefined) {
+                params.push(parseInt(storeId));
+                storeQuantityColumn = `${storeQuantitySql(`$${params.length}`)} as store_quantity,`;
+            }
+
+            const where = whereClause(params);
+            params.push(parseInt(limit), parseInt(offset));
+
             const result = await db.query(
-                `SELECT * FROM product_catalog 
-         WHERE 
-           name ILIKE $1 OR 
-           sku ILIKE $1 OR 
-           description ILIKE $1 OR
-           category ILIKE $1
-         ORDER BY name 
-         LIMIT $2 OFFSET $3`,
-                [searchTerm, limit, offset]
+                `SELECT
+           pc.*,
+           cat.name as category,
+           cat.slug as category_slug,
+           ${storeQuantityColumn}
+           ROUND((
+             ts_rank(${PRODUCT_SEARCH_VECTOR}, websearch_to_tsquery('english', $1)) +
+             strict_word_similarity($1, pc.name) +
+             CASE WHEN lower(pc.name) = lower($1) OR lower(pc.sku) = lower($1) THEN 1 ELSE 0 END
+           )::numeric, 4)::float as relevance
+         FROM product_catalog pc
+         LEFT JOIN category cat ON pc.category_id = cat.id
+         ${where}
+         ORDER BY ${orderBy}
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+                params
+            );
+
+            await attachVariantMatrix(db, result.rows);
+
+            const categoryParams = [searchTerm];
+            const categoryFacet = await db.query(
+                `SELECT pc.category_id, cat.name as category, cat.slug as category_slug, COUNT(*)::int as count
+         FROM product_catalog pc
+         LEFT JOIN category cat ON pc.category_id = cat.id
+         ${whereClause(categoryParams, 'category')}
+         GROUP BY pc.category_id, cat.name, cat.slug
+         ORDER BY count DESC, cat.name NULLS LAST`,
+                categoryParams
+            );
+
+            const priceParams = [searchTerm];
+            const priceFacet = await db.query(
+                `SELECT ${PRICE_BANDS.map((band, index) =>
+                    `COUNT(*) FILTER (WHERE pc.base_price >= ${band.min}${band.max !== null ? ` AND pc.base_price < ${band.max}` : ''})::int as band_${index}`
+                ).join(', ')}
+         FROM product_catalog pc
+         LEFT JOIN category cat ON pc.category_id = cat.id
+         ${whereClause(priceParams, 'price')}`,
+                priceParams
             );
 
             // Calculate total pages
@@ -360,6 +1279,16 @@ export const ProductCatalogController = {
             res.json({
                 query,
                 products: result.rows,
+                facets: {
+                    categories: categoryFacet.rows.map(row => ({
+                        ...row,
+                        category: row.category ?? 'Uncategorized'
+                    })),
+                    price_bands: PRICE_BANDS.map((band, index) => ({
+                        ...band,
+                        count: priceFacet.rows[0][`band_${index}`]
+                    }))
+                },
                 pagination: {
                     total,
                     totalPages,
@@ -371,4 +1300,392 @@ export const ProductCatalogController = {
             next(error);
         }
     }
-};
\ No newline at end of file
+};
+/**
+ * Turn CSV data rows into products keyed by column, validating each one.
+ * Columns missing from the header are left out (an upsert keeps the current value);
+ * empty cells become null. Row numbers count the header as row 1.
+ */
+function parseImportRows(header, dataRows) {
+    const seenSkus = new Map();
+
+    return dataRows.map((values, index) => {
+        const rowNumber = index + 2;
+        const errors = [];
+        const product = {};
+
+        if (values.length !== header.length) {
+            errors.push(`Expected ${header.length} columns but found ${values.length}`);
+        }
+
+        header.forEach((column, columnIndex) => {
+            const value = (values[columnIndex] ?? '').trim();
+            product[column] = value === '' ? null : value;
+        });
+
+        if (!product.name) {
+            errors.push('Name is required');
+        } else if (product.name.length > 100) {
+            errors.push('Name must be at most 100 characters');
+        }
+
+        if (product.sku && product.sku.length > 50) {
+            errors.push('SKU must be at most 50 characters');
+        }
+
+        if (product.category && product.category.length > 50) {
+            errors.push('Category must be at most 50 characters');
+        }
+
+        const basePrice = Number(product.base_price);
+        if (product.base_price === null || isNaN(basePrice) || basePrice < 0) {
+            errors.push('Base price must be a number of zero or more');
+        } else if (basePrice > MAX_BASE_PRICE) {
+            errors.push(`Base price must be at most ${MAX_BASE_PRICE}`);
+        } else if (Math.round(basePrice * 100) / 100 !== basePrice) {
+            errors.push('Base price must have at most 2 decimal places');
+        } else {
+            product.base_price = basePrice;
+        }
+
+        if (product.sku) {
+            if (seenSkus.has(product.sku)) {
+                errors.push(`SKU ${product.sku} also appears on row ${seenSkus.get(product.sku)}`);
+            } else {
+                seenSkus.set(product.sku, rowNumber);
+            }
+        }
+
+        return { rowNumber, product, errors };
+    });
+}
+
+/**
+ * Check whether an upsert would leave an existing product as it is
+ */
+function isUnchanged(existing, updates) {
+    return existing.name === updates.name &&
+        existing.description === updates.description &&
+        parseFloat(existing.base_price) === parseFloat(updates.base_price) &&
+        existing.category_id === updates.category_id;
+}
+
+/**
+ * SQL for a product's (pc) quantity on hand at the store in the given SQL parameter,
+ * counting the stock of its variants for a parent product
+ */
+function storeQuantitySql(storeParam) {
+    return `COALESCE((
+           SELECT SUM(si.quantity)
+           FROM store_inventory si
+           JOIN product_catalog stocked ON si.product_id = stocked.id
+           WHERE si.store_id = ${storeParam} AND (stocked.id = pc.id OR stocked.parent_id = pc.id)
+         ), 0)::int`;
+}
+
+/**
+ * Resolve a product's category from categoryId or category (an ID, slug or name).
+ * Returns undefined when neither is given and null when the category is cleared
+ */
+async function resolveCategoryId(client, { categoryId, category }) {
+    const value = categoryId !== undefined ? categoryId : category;
+
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+
+    return (await CategoryService.resolve(client, value)).id;
+}
+
+/**
+ * Parse the status filter of a product listing (comma-separated, any case).
+ * Defaults to every status but ARCHIVED; returns null when a status is unknown
+ */
+function parseStatusFilter(status) {
+    if (status === undefined || status === '') {
+        return PRODUCT_STATUSES.filter(value => value !== 'ARCHIVED');
+    }
+
+    const statuses = String(status).split(',').map(value => value.trim().toUpperCase());
+    return statuses.every(value => PRODUCT_STATUSES.includes(value)) ? statuses : null;
+}
+
+/**
+ * Load a product, optionally locking it (FOR UPDATE)
+ */
+async function findProduct(client, id, { lock = false } = {}) {
+    const result = await client.query(
+        `SELECT * FROM product_catalog WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Product not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Change a product's lifecycle status, stamping the time it entered the new status.
+ * A parent's variants follow it, except variants archived on their own, which stay archived
+ * (variants archived together with the parent are restored with it).
+ * Each product changed is audited under the given action for the request.
+ */
+async function changeProductStatus(client, req, product, status, action) {
+    if (!STATUS_TRANSITIONS[product.status].includes(status)) {
+        throw new HttpError(409, `Cannot change product status from ${product.status} to ${status}`, {
+            status: product.status,
+            allowed_statuses: STATUS_TRANSITIONS[product.status]
+        });
+    }
+
+    if (product.parent_id && status !== 'ARCHIVED') {
+        const parent = await findParentProduct(client, product.parent_id);
+
+        if (parent.status === 'ARCHIVED') {
+            throw new HttpError(409, 'The parent product is archived; restore it first');
+        }
+    }
+
+    const variants = await client.query(
+        `SELECT id FROM product_catalog
+     WHERE parent_id = $1
+       AND (status != 'ARCHIVED' OR ($2::text = 'ARCHIVED' AND archived_at = $3))
+     FOR UPDATE`,
+        [product.id, product.status, product.archived_at]
+    );
+    const productIds = [product.id, ...variants.rows.map(variant => variant.id)];
+
+    if (status === 'ARCHIVED') {
+        await assertNothingOutstanding(client, productIds);
+    }
+
+    const before = await client.query(`${PRODUCT_SELECT} WHERE pc.id = ANY($1::int[]) ORDER BY pc.id`, [productIds]);
+
+    await client.query(
+        `UPDATE product_catalog 
+     SET 
+       status = $1::text,
+       activated_at = CASE WHEN $1::text = 'ACTIVE' THEN CURRENT_TIMESTAMP ELSE activated_at END,
+       discontinued_at = CASE WHEN $1::text = 'DISCONTINUED' THEN CURRENT_TIMESTAMP WHEN $1::text = 'ACTIVE' THEN NULL ELSE discontinued_at END,
+       archived_at = CASE WHEN $1::text = 'ARCHIVED' THEN CURRENT_TIMESTAMP END,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($2::int[])`,
+        [status, productIds]
+    );
+
+    const after = await client.query(`${PRODUCT_SELECT} WHERE pc.id = ANY($1::int[]) ORDER BY pc.id`, [productIds]);
+
+    for (const [index, changed] of after.rows.entries()) {
+        await AuditService.record(client, req, {
+            action,
+            entityType: 'product',
+            entityId: changed.id,
+            before: before.rows[index],
+            after: changed
+        });
+    }
+}
+
+/**
+ * Before archiving: no stock on hand, active reservations, open purchase orders
+ * or transfers may remain for the products
+ */
+async function assertNothingOutstanding(client, productIds) {
+    const result = await client.query(
+        `SELECT
+       (SELECT COALESCE(SUM(quantity), 0) FROM store_inventory WHERE product_id = ANY($1::int[]))::int as quantity_on_hand,
+       (SELECT COUNT(*) FROM stock_reservation WHERE product_id = ANY($1::int[]) AND status = 'ACTIVE')::int as active_reservations,
+       (
+         SELECT COUNT(DISTINCT po.id)
+         FROM purchase_order_item poi
+         JOIN purchase_order po ON poi.purchase_order_id = po.id
+         WHERE poi.product_id = ANY($1::int[]) AND po.status IN ('DRAFT', 'SUBMITTED', 'PARTIALLY_RECEIVED')
+       )::int as open_purchase_orders,
+       (
+         SELECT COUNT(DISTINCT t.id)
+         FROM store_transfer_item ti
+         JOIN store_transfer t ON ti.transfer_id = t.id
+         WHERE ti.product_id = ANY($1::int[]) AND t.status IN ('DRAFT', 'IN_TRANSIT')
+       )::int as open_transfers`,
+        [productIds]
+    );
+
+    const outstanding = result.rows[0];
+
+    if (Object.values(outstanding).some(count => count !== 0)) {
+        throw new HttpError(409, 'Cannot archive a product with stock or open orders', {
+            ...outstanding,
+            message: 'Sell, remove or transfer its stock and close its reservations, purchase orders and transfers first'
+        });
+    }
+}
+
+/**
+ * A product's alternate units, smallest first
+ */
+async function getProductUnits(client, productId) {
+    const result = await client.query(
+        'SELECT unit, factor FROM product_unit WHERE product_id = $1 ORDER BY factor',
+        [productId]
+    );
+    return result.rows;
+}
+
+/**
+ * Load a product with its category name and slug
+ */
+async function selectProduct(client, id) {
+    const result = await client.query(`${PRODUCT_SELECT} WHERE pc.id = $1`, [id]);
+    return result.rows[0];
+}
+
+/**
+ * Validate a parent's variant attribute names: a non-empty list of distinct, non-empty strings.
+ * Returns an error message, or null when the list is valid
+ */
+function validateVariantAttributes(variantAttributes) {
+    if (!Array.isArray(variantAttributes) || variantAttributes.length === 0) {
+        return 'Variant attributes must be a non-empty list of attribute names';
+    }
+
+    if (variantAttributes.some(attribute => typeof attribute !== 'string' || attribute.trim() === '')) {
+        return 'Variant attribute names must be non-empty strings';
+    }
+
+    if (new Set(variantAttributes).size !== variantAttributes.length) {
+        return 'Variant attribute names must be unique';
+    }
+
+    return null;
+}
+
+/**
+ * Unit names are short labels such as 'each', 'inner', 'case' or 'pallet'
+ */
+function isValidUnitName(unit) {
+    return typeof unit === 'string' && unit.trim() !== '' && unit.length <= 20;
+}
+
+/**
+ * Fetch a parent product (one with variant attributes), optionally locking it
+ */
+async function findParentProduct(client, id, { lock = false } = {}) {
+    const result = await client.query(
+        `SELECT * FROM product_catalog WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Product not found');
+    }
+
+    if (!result.rows[0].variant_attributes) {
+        throw new HttpError(400, 'Product has no variant attributes');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Check that attribute values give exactly one non-empty value per parent attribute
+ * and that no other variant of the parent already has the same combination
+ */
+async function assertVariantValuesAvailable(client, parent, attributes, variantId = null) {
+    const names = parent.variant_attributes;
+
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+        throw new HttpError(400, `Attributes must give a value for each of: ${names.join(', ')}`);
+    }
+
+    const unknown = Object.keys(attributes).filter(attribute => !names.includes(attribute));
+    const missing = names.filter(attribute =>
+        typeof attributes[attribute] !== 'string' || attributes[attribute].trim() === '');
+
+    if (unknown.length > 0 || missing.length > 0) {
+        throw new HttpError(400, `Attributes must give a value for each of: ${names.join(', ')}`, {
+            unknown_attributes: unknown,
+            missing_attributes: missing
+        });
+    }
+
+    const duplicate = await client.query(
+        `SELECT id, sku FROM product_catalog 
+     WHERE parent_id = $1 AND attribute_values = $2::jsonb AND id != COALESCE($3, 0)`,
+        [parent.id, JSON.stringify(attributes), variantId]
+    );
+
+    if (duplicate.rows.length > 0) {
+        throw new HttpError(409, 'Another variant of this product has the same attributes', {
+            variant_id: duplicate.rows[0].id,
+            sku: duplicate.rows[0].sku
+        });
+    }
+}
+
+/**
+ * Carry a parent's price and category over to its variants
+ * (variants with a price override keep their own price)
+ */
+async function syncVariants(client, parentId) {
+    await client.query(
+        `UPDATE product_catalog v
+     SET 
+       base_price = COALESCE(v.price_override, p.base_price),
+       category_id = p.category_id,
+       updated_at = CURRENT_TIMESTAMP
+     FROM product_catalog p
+     WHERE v.parent_id = p.id AND p.id = $1
+       AND (v.base_price != COALESCE(v.price_override, p.base_price) OR v.category_id IS DISTINCT FROM p.category_id)`,
+        [parentId]
+    );
+}
+
+/**
+ * Attach the variant matrix to each parent product in place: the attribute values in
+ * use (in variant order) and the variants themselves with their stock across stores
+ */
+async function attachVariantMatrix(client, products) {
+    const parents = products.filter(product => product.variant_attributes);
+
+    if (parents.length === 0) return;
+
+    const result = await client.query(
+        `SELECT 
+       pc.id,
+       pc.parent_id,
+       pc.name,
+       pc.sku,
+       pc.attribute_values,
+       pc.base_price,
+       pc.price_override,
+       pc.status,
+       COALESCE(SUM(si.quantity), 0)::int as total_quantity
+     FROM product_catalog pc
+     LEFT JOIN store_inventory si ON si.product_id = pc.id
+     WHERE pc.parent_id = ANY($1::int[]) AND pc.status != 'ARCHIVED'
+     GROUP BY pc.id
+     ORDER BY pc.id`,
+        [parents.map(product => product.id)]
+    );
+
+    parents.forEach(parent => {
+        const variants = result.rows.filter(variant => variant.parent_id === parent.id);
+        const attributes = Object.fromEntries(parent.variant_attributes.map(attribute => [
+            attribute,
+            [...new Set(variants.map(variant => variant.attribute_values[attribute]))]
+        ]));
+
+        parent.variant_matrix = {
+            attributes,
+            variants: variants.map(({ parent_id, ...variant }) => variant)
+        };
+    });
+}
+
+/**
+ * JSONB parameters are passed as JSON text; null stays SQL NULL
+ */
+function toJsonb(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+}
@@ -0,0 +1,672 @@
+import { db } from '../config/database.js';
+import { getAccessibleStoreIds, hasStoreAccess } from '../middleware/auth.js';
+import { HttpError } from '../utils/HttpError.js';
+import { StockService } from '../services/StockService.js';
+import { AuditService } from '../services/AuditService.js';
+
+export const PurchaseOrderController = {
+    /**
+     * Get purchase orders with pagination and filtering
+     * (non-admin users only see orders for their own store)
+     */
+    async getAllPurchaseOrders(req, res, next) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                status,
+                supplierId,
+                storeId
+            } = req.query;
+
+            const offset = (page - 1) * limit;
+            let params = [];
+            let whereConditions = [];
+
+            if (status) {
+                params.push(status.toUpperCase());
+                whereConditions.push(`po.status = $${params.length}`);
+            }
+
+            if (supplierId) {
+                params.push(supplierId);
+                whereConditions.push(`po.supplier_id = $${params.length}`);
+            }
+
+            if (storeId) {
+                params.push(storeId);
+                whereConditions.push(`po.store_id = $${params.length}`);
+            }
+
+            // Non-admins only see their own stores' orders
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                whereConditions.push(`po.store_id = ANY($${params.length}::int[])`);
+            }
+
+            let queryBase = `
+        SELECT 
+          po.*,
+          sup.name as supplier_name,
+          s.name as store_name,
+          (SELECT COUNT(*) FROM purchase_order_item poi WHERE poi.purchase_order_id = po.id) as item_count
+        FROM purchase_order po
+        JOIN supplier sup ON po.supplier_id = sup.id
+        JOIN store s ON po.store_id = s.id
+      `;
+
+            if (whereConditions.length > 0) {
+                queryBase += ` WHERE ${whereConditions.join(' AND ')}`;
+            }
+
+            const countQuery = `SELECT COUNT(*) FROM (${queryBase}) as filtered_orders`;
+            const query = `
+        ${queryBase}
+        ORDER BY po.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+            const countResult = await db.query(countQuery, params);
+            const result = await db.query(query, [...params, parseInt(limit), parseInt(offset)]);
+
+            const total = parseInt(countResult.rows[0].count);
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                purchase_orders: result.rows.map(order => ({
+                    ...order,
+                    item_count: parseInt(order.item_count)
+                })),
+                pagination: {
+                    total,
+                    totalPages,
+                    currentPage: parseInt(page),
+                    limit: parseInt(limit)
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get a single purchase order with its line items and receipts
+     */
+    async getPurchaseOrderById(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid purchase order ID is required' });
+            }
+
+            await findPurchaseOrder(db, id, req);
+
+            res.json(await getPurchaseOrderDetails(db, id));
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Create a draft purchase order
+     */
+    async createPurchaseOrder(req, res, next) {
+        try {
+            const { supplierId, storeId, expectedDate, notes, items } = req.body;
+
+            if (!supplierId || !storeId) {
+                return res.status(400).json({ error: 'Supplier ID and store ID are required' });
+            }
+
+            const itemsError = validateItems(items);
+            if (itemsError) {
+                return res.status(400).json({ error: itemsError });
+            }
+
+            if (expectedDate && isNaN(Date.parse(expectedDate))) {
+                return res.status(400).json({ error: 'Expected date must be a valid date' });
+            }
+
+            const purchaseOrder = await db.transaction(async (client) => {
+                const supplierCheck = await client.query('SELECT id FROM supplier WHERE id = $1', [supplierId]);
+                if (supplierCheck.rows.length === 0) {
+                    throw new HttpError(404, 'Supplier not found');
+                }
+
+                const storeCheck = await client.query('SELECT id FROM store WHERE id = $1', [storeId]);
+                if (storeCheck.rows.length === 0) {
+                    throw new HttpError(404, 'Store not found');
+                }
+
+                const result = await client.query(
+                    `INSERT INTO purchase_order (supplier_id, store_id, expected_date, notes, created_by)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+                    [supplierId, storeId, expectedDate || null, notes, req.user.userId || null]
+                );
+
+                await insertItems(client, result.rows[0].id, items);
+
+                const created = await getPurchaseOrderDetails(client, result.rows[0].id);
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'purchase_order',
+                    entityId: created.id,
+                    after: created
+                });
+
+                return created;
+            });
+
+            res.status(201).json({
+                message: 'Purchase order created successfully',
+                purchase_order: purchaseOrder
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Update a draft purchase order (items, when given, replace the existing lines)
+     */
+    async updatePurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { supplierId, expectedDate, notes, items } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid purchase order ID is required' });
+            }
+
+            if (items !== undefined) {
+                const itemsError = validateItems(items);
+                if (itemsError) {
+                    return res.status(400).json({ error: itemsError });
+                }
+            }
+
+            if (expectedDate && isNaN(Date.parse(expectedDate))) {
+                return res.status(400).json({ error: 'Expected date must be a valid date' });
+            }
+
+            const purchaseOrder = await db.transaction(async (client) => {
+                const order = await findPurchaseOrder(client, id, req, { lock: true });
+                assertStatus(order, ['DRAFT'], 'Only draft purchase orders can be edited');
+                const before = await getPurchaseOrderDetails(client, id);
+
+                if (supplierId) {
+                    const supplierCheck = await client.query('SELECT id FROM supplier WHERE id = $1', [supplierId]);
+                    if (supplierCheck.rows.length === 0) {
+                        throw new HttpError(404, 'Supplier not found');
+                    }
+                }
+
+                await client.query(
+                    `UPDATE purchase_order
+           SET 
+             supplier_id = $1,
+             expected_date = $2,
+             notes = $3,
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4`,
+                    [
+                        supplierId || order.supplier_id,
+                        expectedDate !== undefined ? expectedDate : order.expected_date,
+                        notes !== undefined ? notes : order.notes,
+                        id
+                    ]
+                );
+
+                if (items !== undefined) {
+                    await client.query('DELETE FROM purchase_order_item WHERE purchase_order_id = $1', [id]);
+                    await insertItems(client, id, items);
+                }
+
+                const after = await getPurchaseOrderDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'UPDATE',
+                    entityType: 'purchase_order',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Purchase order updated successfully',
+                purchase_order: purchaseOrder
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Submit a draft purchase order to the supplier
+     */
+    async submitPurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid purchase order ID is required' });
+            }
+
+            const purchaseOrder = await db.transaction(async (client) => {
+                const order = await findPurchaseOrder(client, id, req, { lock: true });
+                assertStatus(order, ['DRAFT'], 'Only draft purchase orders can be submitted');
+                const before = await getPurchaseOrderDetails(client, id);
+
+                await client.query(
+                    `UPDATE purchase_order
+           SET status = 'SUBMITTED', submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+                    [id]
+                );
+
+                const after = await getPurchaseOrderDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'SUBMIT',
+                    entityType: 'purchase_order',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Purchase order submitted successfully',
+                purchase_order: purchaseOrder
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Receive a delivery against a purchase order.
+     * Posts one STOCK_IN movement per line into the ordering store, referencing the order.
+     */
+    async receivePurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { items, notes } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid purchase order ID is required' });
+            }
+
+            const itemsError = validateItems(items);
+            if (itemsError) {
+                return res.status(400).json({ error: itemsError });
+            }
+
+            const result = await db.transaction(async (client) => {
+                const order = await findPurchaseOrder(client, id, req, { lock: true });
+                assertStatus(order, ['SUBMITTED', 'PARTIALLY_RECEIVED'], 'Only submitted purchase orders can be received');
+                const before = await getPurchaseOrderDetails(client, id);
+
+                const orderItems = await client.query(
+                    'SELECT * FROM purchase_order_item WHERE purchase_order_id = $1',
+                    [id]
+                );
+                const itemsByProduct = new Map(orderItems.rows.map(item => [item.product_id, item]));
+
+                const receipt = await client.query(
+                    `INSERT INTO purchase_order_receipt (purchase_order_id, received_by, notes)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+                    [id, req.user.userId || null, notes]
+                );
+
+                const movements = [];
+                for (const item of items) {
+                    const orderItem = itemsByProduct.get(parseInt(item.productId));
+
+                    if (!orderItem) {
+                        throw new HttpError(400, `Product ${item.productId} is not on this purchase order`);
+                    }
+
+                    // Deliveries may be counted in any of the product's units (e.g. cases)
+                    const { quantity } = await StockService.toBaseQuantity(client, orderItem.product_id, item.quantity, item.unit);
+
+                    const outstanding = orderItem.quantity_ordered - orderItem.quantity_received;
+                    if (quantity > outstanding) {
+                        throw new HttpError(400, 'Received quantity exceeds the outstanding quantity', {
+                            product_id: orderItem.product_id,
+                            outstanding,
+                            received: quantity
+                        });
+                    }
+
+                    const { movement } = await StockService.postMovement(client, {
+                        storeId: order.store_id,
+                        productId: orderItem.product_id,
+                        quantity: item.quantity,
+                        unit: item.unit,
+                        type: 'STOCK_IN',
+                        referenceId: `PO-${order.id}`,
+                        notes: `Received against purchase order #${order.id}`,
+                        lot: {
+                            lotNumber: item.lotNumber,
+                            expiryDate: item.expiryDate
+                        },
+                        unitCost: orderItem.unit_cost !== null ? parseFloat(orderItem.unit_cost) : null
+                    });
+
+                    await client.query(
+                        'UPDATE purchase_order_item SET quantity_received = quantity_received + $1 WHERE id = $2',
+                        [quantity, orderItem.id]
+                    );
+                    orderItem.quantity_received += quantity;
+
+                    await client.query(
+                        `INSERT INTO purchase_order_receipt_item
+             (receipt_id, purchase_order_item_id, quantity, stock_movement_id)
+             VALUES ($1, $2, $3, $4)`,
+                        [receipt.rows[0].id, orderItem.id, quantity, movement.id]
+                    );
+
+                    movements.push(movement);
+                }
+
+                // Fully received once every line has arrived in full
+                const fullyReceived = orderItems.rows.every(item => item.quantity_received >= item.quantity_ordered);
+
+                await client.query(
+                    `UPDATE purchase_order
+           SET 
+             status = $1,
+             received_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE received_at END,
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = $3`,
+                    [fullyReceived ? 'RECEIVED' : 'PARTIALLY_RECEIVED', fullyReceived, id]
+                );
+
+                const after = await getPurchaseOrderDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'RECEIVE',
+                    entityType: 'purchase_order',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return {
+                    receipt: receipt.rows[0],
+                    movements,
+                    purchase_order: after
+                };
+            });
+
+            res.status(201).json({
+                message: 'Purchase order delivery received successfully',
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Close a purchase order whose remaining quantities will not be delivered
+     */
+    async closePurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid purchase order ID is required' });
+            }
+
+            const purchaseOrder = await db.transaction(async (client) => {
+                const order = await findPurchaseOrder(client, id, req, { lock: true });
+                assertStatus(
+                    order,
+                    ['SUBMITTED', 'PARTIALLY_RECEIVED', 'RECEIVED'],
+                    'Only submitted or received purchase orders can be closed'
+                );
+                const before = await getPurchaseOrderDetails(client, id);
+
+                await client.query(
+                    `UPDATE purchase_order
+           SET status = 'CLOSED', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+                    [id]
+                );
+
+                const after = await getPurchaseOrderDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'CLOSE',
+                    entityType: 'purchase_order',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Purchase order closed successfully',
+                purchase_order: purchaseOrder
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Cancel a purchase order that has not received anything yet
+     */
+    async cancelPurchaseOrder(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid purchase order ID is required' });
+            }
+
+            const purchaseOrder = await db.transaction(async (client) => {
+                const order = await findPurchaseOrder(client, id, req, { lock: true });
+                assertStatus(order, ['DRAFT', 'SUBMITTED'], 'Only draft or submitted purchase orders can be cancelled');
+                const before = await getPurchaseOrderDetails(client, id);
+
+                await client.query(
+                    `UPDATE purchase_order
+           SET status = 'CANCELLED', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+                    [id]
+                );
+
+                const after = await getPurchaseOrderDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'CANCEL',
+                    entityType: 'purchase_order',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Purchase order cancelled successfully',
+                purchase_order: purchaseOrder
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
+
+/**
+ * Validate purchase order line items ({ productId, quantity, unit, unitCost })
+ * Returns an error message, or null when the items are valid
+ */
+function validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'At least one item is required';
+    }
+
+    const seen = new Set();
+    for (const item of items) {
+        if (!item.productId || isNaN(parseInt(item.productId))) {
+            return 'Each item needs a valid product ID';
+        }
+
+        if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+            return 'Each item quantity must be a whole number greater than zero';
+        }
+
+        if (item.unit !== undefined && (typeof item.unit !== 'string' || item.unit.trim() === '')) {
+            return 'Item unit must be a unit name configured for the product';
+        }
+
+        if (item.unitCost !== undefined && (isNaN(parseFloat(item.unitCost)) || item.unitCost < 0)) {
+            return 'Item unit cost must be zero or a positive number';
+        }
+
+        if (item.expiryDate && isNaN(Date.parse(item.expiryDate))) {
+            return 'Item expiry date must be a valid date';
+        }
+
+        if (seen.has(parseInt(item.productId))) {
+            return 'Each product may only appear once';
+        }
+        seen.add(parseInt(item.productId));
+    }
+
+    return null;
+}
+
+/**
+ * Insert purchase order line items, checking that each product exists.
+ * Quantities are stored in base units; unit cost is always per base unit.
+ */
+async function insertItems(client, purchaseOrderId, items) {
+    for (const item of items) {
+        const productCheck = await client.query('SELECT * FROM product_catalog WHERE id = $1', [item.productId]);
+        if (productCheck.rows.length === 0) {
+            throw new HttpError(404, `Product ${item.productId} not found`);
+        }
+
+        StockService.assertMovementAllowed(productCheck.rows[0], 'STOCK_IN');
+
+        const { quantity } = await StockService.toBaseQuantity(client, item.productId, item.quantity, item.unit);
+
+        await client.query(
+            `INSERT INTO purchase_order_item (purchase_order_id, product_id, quantity_ordered, unit_cost)
+       VALUES ($1, $2, $3, $4)`,
+            [purchaseOrderId, item.productId, quantity, item.unitCost ?? null]
+        );
+    }
+}
+
+/**
+ * Load a purchase order the user may access in a store role the route allows, optionally locking it (FOR UPDATE)
+ */
+async function findPurchaseOrder(client, id, req, { lock = false } = {}) {
+    const result = await client.query(
+        `SELECT * FROM purchase_order WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Purchase order not found');
+    }
+
+    const order = result.rows[0];
+
+    if (!hasStoreAccess(req.user, order.store_id, req.authorizedRoles)) {
+        throw new HttpError(403, 'Access denied', {
+            message: 'You do not have permission to access data for this store'
+        });
+    }
+
+    return order;
+}
+
+/**
+ * Throw a 409 unless the purchase order is in one of the allowed statuses
+ */
+function assertStatus(order, allowedStatuses, message) {
+    if (!allowedStatuses.includes(order.status)) {
+        throw new HttpError(409, message, { status: order.status });
+    }
+}
+
+/**
+ * Get a purchase order with supplier, store, line items and receipts
+ */
+async function getPurchaseOrderDetails(client, id) {
+    const orderResult = await client.query(
+        `SELECT 
+      po.*,
+      sup.name as supplier_name,
+      s.name as store_name
+    FROM purchase_order po
+    JOIN supplier sup ON po.supplier_id = sup.id
+    JOIN store s ON po.store_id = s.id
+    WHERE po.id = $1`,
+        [id]
+    );
+
+    const itemsResult = await client.query(
+        `SELECT 
+      poi.*,
+      poi.quantity_ordered - poi.quantity_received as quantity_outstanding,
+      pc.name as product_name,
+      pc.sku
+    FROM purchase_order_item poi
+    JOIN product_catalog pc ON poi.product_id = pc.id
+    WHERE poi.purchase_order_id = $1
+    ORDER BY poi.id`,
+        [id]
+    );
+
+    const receiptsResult = await client.query(
+        `SELECT 
+      por.*,
+      COALESCE(json_agg(json_build_object(
+        'purchase_order_item_id', pori.purchase_order_item_id,
+        'quantity', pori.quantity,
+        'stock_movement_id', pori.stock_movement_id
+      ) ORDER BY pori.id) FILTER (WHERE pori.id IS NOT NULL), '[]') as items
+    FROM purchase_order_receipt por
+    LEFT JOIN purchase_order_receipt_item pori ON pori.receipt_id = por.id
+    WHERE por.purchase_order_id = $1
+    GROUP BY por.id
+    ORDER BY por.received_at`,
+        [id]
+    );
+
+    const items = itemsResult.rows;
+
+    return {
+        ...orderResult.rows[0],
+        items,
+        receipts: receiptsResult.rows,
+        totals: {
+            quantity_ordered: items.reduce((sum, item) => sum + item.quantity_ordered, 0),
+            quantity_received: items.reduce((sum, item) => sum + item.quantity_received, 0),
+            order_value: parseFloat(items
+                .reduce((sum, item) => sum + (parseFloat(item.unit_cost) || 0) * item.quantity_ordered, 0)
+                .toFixed(2))
+        }
+    };
+}
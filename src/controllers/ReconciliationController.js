@@ -0,0 +1,149 @@
+import { db } from '../config/database.js';
+import { InventoryHistoryService } from '../services/InventoryHistoryService.js';
+import { AuditService } from '../services/AuditService.js';
+
+export const ReconciliationController = {
+    /**
+     * Get past reconciliation runs with pagination
+     */
+    async getAllReconciliations(req, res, next) {
+        try {
+            const { page = 1, limit = 20, storeId } = req.query;
+            const offset = (page - 1) * limit;
+
+            let params = [];
+            let whereClause = '';
+
+            if (storeId) {
+                params.push(storeId);
+                whereClause = `WHERE lr.store_id = $${params.length}`;
+            }
+
+            const countResult = await db.query(
+                `SELECT COUNT(*) FROM ledger_reconciliation lr ${whereClause}`,
+                params
+            );
+
+            const result = await db.query(
+                `SELECT 
+          lr.*,
+          s.name as store_name
+        FROM ledger_reconciliation lr
+        LEFT JOIN store s ON lr.store_id = s.id
+        ${whereClause}
+        ORDER BY lr.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, parseInt(limit), parseInt(offset)]
+            );
+
+            const total = parseInt(countResult.rows[0].count);
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                reconciliations: result.rows,
+                pagination: {
+                    total,
+                    totalPages,
+                    currentPage: parseInt(page),
+                    limit: parseInt(limit)
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get a single reconciliation run with its mismatches
+     */
+    async getReconciliationById(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid reconciliation ID is required' });
+            }
+
+            const runResult = await db.query(
+                'SELECT * FROM ledger_reconciliation WHERE id = $1',
+                [id]
+            );
+
+            if (runResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Reconciliation not found' });
+            }
+
+            const itemsResult = await db.query(
+                `SELECT 
+          lri.*,
+          s.name as store_name,
+          pc.name as product_name,
+          pc.sku
+        FROM ledger_reconciliation_item lri
+        JOIN store s ON lri.store_id = s.id
+        JOIN product_catalog pc ON lri.product_id = pc.id
+        WHERE lri.reconciliation_id = $1
+        ORDER BY ABS(lri.difference) DESC, lri.store_id, lri.product_id`,
+                [id]
+            );
+
+            res.json({
+                ...runResult.rows[0],
+                mismatches: itemsResult.rows
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Reconcile store_inventory against the movement ledger (optionally one store).
+     * With correct: true, each mismatch is fixed with a correcting movement.
+     */
+    async runReconciliation(req, res, next) {
+        try {
+            const { storeId, correct = false } = req.body;
+
+            if (storeId !== undefined && isNaN(parseInt(storeId))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            if (typeof correct !== 'boolean') {
+                return res.status(400).json({ error: 'correct must be true or false' });
+            }
+
+            if (storeId !== undefined) {
+                const storeCheck = await db.query('SELECT id FROM store WHERE id = $1', [storeId]);
+                if (storeCheck.rows.length === 0) {
+                    return res.status(404).json({ error: 'Store not found' });
+                }
+            }
+
+            const reconciliation = await db.transaction(async (client) => {
+                const result = await InventoryHistoryService.reconcileLedger(client, {
+                    storeId: storeId !== undefined ? parseInt(storeId) : null,
+                    correct,
+                    userId: req.user.userId || null
+                });
+
+                await AuditService.record(client, req, {
+                    action: correct ? 'RECONCILE_AND_CORRECT' : 'RECONCILE',
+                    entityType: 'reconciliation',
+                    entityId: result.id,
+                    after: result
+                });
+
+                return result;
+            });
+
+            res.status(201).json({
+                message: correct
+                    ? 'Reconciliation completed and corrections posted'
+                    : 'Reconciliation completed',
+                reconciliation
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
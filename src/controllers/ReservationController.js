@@ -0,0 +1,337 @@
+import { db } from '../config/database.js';
+import { getAccessibleStoreIds, hasStoreAccess } from '../middleware/auth.js';
+import { HttpError } from '../utils/HttpError.js';
+import { StockService } from '../services/StockService.js';
+import { AuditService } from '../services/AuditService.js';
+
+const DEFAULT_RESERVATION_MINUTES = 24 * 60;
+
+export const ReservationController = {
+    /**
+     * Get reservations with pagination and filtering
+     * (non-admin users only see reservations for their own store)
+     */
+    async getAllReservations(req, res, next) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                status,
+                storeId,
+                productId,
+                orderReference
+            } = req.query;
+
+            const offset = (page - 1) * limit;
+            let params = [];
+            let whereConditions = [];
+
+            // Reservations past their expiry are reported as EXPIRED even before the sweep marks them
+            const statusColumn = `CASE WHEN r.status = 'ACTIVE' AND r.expires_at <= CURRENT_TIMESTAMP THEN 'EXPIRED' ELSE r.status END`;
+
+            if (status) {
+                params.push(status.toUpperCase());
+                whereConditions.push(`${statusColumn} = $${params.length}`);
+            }
+
+            if (storeId) {
+                params.push(storeId);
+                whereConditions.push(`r.store_id = $${params.length}`);
+            }
+
+            // Non-admins only see their own stores' reservations
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                whereConditions.push(`r.store_id = ANY($${params.length}::int[])`);
+            }
+
+            if (productId) {
+                params.push(productId);
+                whereConditions.push(`r.product_id = $${params.length}`);
+            }
+
+            if (orderReference) {
+                params.push(orderReference);
+                whereConditions.push(`r.order_reference = $${params.length}`);
+            }
+
+            let queryBase = `
+        SELECT 
+          r.*,
+          ${statusColumn} as status,
+          pc.name as product_name,
+          pc.sku,
+          s.name as store_name
+        FROM stock_reservation r
+        JOIN product_catalog pc ON r.product_id = pc.id
+        JOIN store s ON r.store_id = s.id
+      `;
+
+            if (whereConditions.length > 0) {
+                queryBase += ` WHERE ${whereConditions.join(' AND ')}`;
+            }
+
+            const countQuery = `SELECT COUNT(*) FROM (${queryBase}) as filtered_reservations`;
+            const query = `
+        ${queryBase}
+        ORDER BY r.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+            const countResult = await db.query(countQuery, params);
+            const result = await db.query(query, [...params, parseInt(limit), parseInt(offset)]);
+
+            const total = parseInt(countResult.rows[0].count);
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                reservations: result.rows,
+                pagination: {
+                    total,
+                    totalPages,
+                    currentPage: parseInt(page),
+                    limit: parseInt(limit)
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get a single reservation
+     */
+    async getReservationById(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid reservation ID is required' });
+            }
+
+            const reservation = await findReservation(db, id, req);
+
+            res.json(reservation);
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Reserve stock for an order (expiresAt, or expiresInMinutes, default 24 hours)
+     */
+    async createReservation(req, res, next) {
+        try {
+            const {
+                storeId,
+                productId,
+                quantity,
+                orderReference,
+                expiresAt,
+                expiresInMinutes,
+                notes
+            } = req.body;
+
+            if (!storeId || !productId || !quantity || !orderReference) {
+                return res.status(400).json({
+                    error: 'Store ID, product ID, quantity and order reference are required'
+                });
+            }
+
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                return res.status(400).json({ error: 'Quantity must be a whole number greater than zero' });
+            }
+
+            let expiry;
+            if (expiresAt) {
+                expiry = new Date(expiresAt);
+            } else {
+                const minutes = expiresInMinutes !== undefined ? parseInt(expiresInMinutes) : DEFAULT_RESERVATION_MINUTES;
+                expiry = new Date(Date.now() + minutes * 60 * 1000);
+            }
+
+            if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+                return res.status(400).json({ error: 'Reservation expiry must be a valid time in the future' });
+            }
+
+            const reservation = await db.transaction(async (client) => {
+                const productCheck = await client.query('SELECT * FROM product_catalog WHERE id = $1', [productId]);
+                if (productCheck.rows.length === 0) {
+                    throw new HttpError(404, 'Product not found');
+                }
+
+                // Reserved stock is sold when the reservation is fulfilled
+                StockService.assertMovementAllowed(productCheck.rows[0], 'SALE');
+
+                const storeCheck = await client.query('SELECT id FROM store WHERE id = $1', [storeId]);
+                if (storeCheck.rows.length === 0) {
+                    throw new HttpError(404, 'Store not found');
+                }
+
+                const created = await StockService.reserveStock(client, {
+                    storeId,
+                    productId,
+                    quantity,
+                    orderReference,
+                    expiresAt: expiry,
+                    notes,
+                    userId: req.user.userId
+                });
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'reservation',
+                    entityId: created.id,
+                    after: created
+                });
+
+                return created;
+            });
+
+            res.status(201).json({
+                message: 'Stock reserved successfully',
+                reservation
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Release an active reservation without selling it
+     */
+    async releaseReservation(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid reservation ID is required' });
+            }
+
+            const reservation = await db.transaction(async (client) => {
+                const current = await findReservation(client, id, req, { lock: true });
+
+                if (current.status !== 'ACTIVE') {
+                    throw new HttpError(409, 'Only active reservations can be released', { status: current.status });
+                }
+
+                const result = await client.query(
+                    `UPDATE stock_reservation
+           SET status = 'RELEASED', released_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING *`,
+                    [id]
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'RELEASE',
+                    entityType: 'reservation',
+                    entityId: id,
+                    before: current,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
+
+            res.json({
+                message: 'Reservation released successfully',
+                reservation
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Fulfil a reservation by posting the SALE movement for its quantity
+     * (optionally at a given unit price and discount)
+     */
+    async fulfillReservation(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { notes, unitPrice, discount } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid reservation ID is required' });
+            }
+
+            if (unitPrice !== undefined && (typeof unitPrice !== 'number' || unitPrice < 0)) {
+                return res.status(400).json({ error: 'Unit price must be a number of zero or more' });
+            }
+
+            if (discount !== undefined && (typeof discount !== 'number' || discount < 0)) {
+                return res.status(400).json({ error: 'Discount must be a number of zero or more' });
+            }
+
+            const result = await db.transaction(async (client) => {
+                const current = await findReservation(client, id, req);
+
+                const { movement, newSourceQuantity } = await StockService.postMovement(client, {
+                    storeId: current.store_id,
+                    productId: current.product_id,
+                    quantity: current.quantity,
+                    type: 'SALE',
+                    referenceId: current.order_reference,
+                    notes: notes || `Fulfilled reservation #${current.id}`,
+                    reservationId: current.id,
+                    unitPrice,
+                    discount
+                });
+
+                const reservation = await findReservation(client, id, req);
+
+                await AuditService.record(client, req, {
+                    action: 'FULFILL',
+                    entityType: 'reservation',
+                    entityId: id,
+                    before: current,
+                    after: reservation
+                });
+
+                return {
+                    reservation,
+                    movement,
+                    new_quantity: newSourceQuantity
+                };
+            });
+
+            res.json({
+                message: 'Reservation fulfilled successfully',
+                ...result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
+
+/**
+ * Load a reservation the user may access in a store role the route allows, optionally locking it (FOR UPDATE).
+ * An active reservation past its expiry is reported as EXPIRED.
+ */
+async function findReservation(client, id, req, { lock = false } = {}) {
+    const result = await client.query(
+        `SELECT * FROM stock_reservation WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Reservation not found');
+    }
+
+    const reservation = result.rows[0];
+
+    if (!hasStoreAccess(req.user, reservation.store_id, req.authorizedRoles)) {
+        throw new HttpError(403, 'Access denied', {
+            message: 'You do not have permission to access data for this store'
+        });
+    }
+
+    if (reservation.status === 'ACTIVE' && new Date(reservation.expires_at) <= new Date()) {
+        reservation.status = 'EXPIRED';
+    }
+
+    return reservation;
+}
@@ -1,23 +1,61 @@
 import { db } from '../config/database.js';
+import { INVENTORY_COST_VALUE_SQL, StockService } from '../services/StockService.js';
+import { AuditService } from '../services/AuditService.js';
+import { HttpError } from '../utils/HttpError.js';
+import { getAccessibleStoreIds } from '../middleware/auth.js';
+import { getExportFormat, sendReport } from '../utils/export.js';
+
+// FIFO values stock and COGS from the oldest cost layers, AVERAGE at the running average cost
+const COSTING_METHODS = ['FIFO', 'AVERAGE'];
+
+// A store is open until its closing date; closed stores take no new stock movements
+const STORE_OPEN_SQL = '(closing_date IS NULL OR closing_date > CURRENT_DATE)';
+
+// Roles a user can hold at a store (admins need no memberships)
+const MEMBERSHIP_ROLES = ['manager', 'user'];
+
+// Store metrics sections and their worksheet names in exports
+const METRICS_SHEETS = {
+    summary: 'Summary',
+    movements: 'Movements by type',
+    top_products: 'Top products'
+};
 
 export const StoreController = {
     /**
-     * Get all stores with optional filtering and pagination
+     * Get all stores with optional filtering and pagination.
+     * Closed stores are left out unless includeClosed=true; non-admins only see
+     * the stores they are members of.
      */
     async getAllStores(req, res, next) {
         try {
-            const { page = 1, limit = 20, search } = req.query;
+            const { page = 1, limit = 20, search, includeClosed } = req.query;
             const offset = (page - 1) * limit;
 
-            let query = 'SELECT * FROM store';
+            let query = `SELECT *, ${STORE_OPEN_SQL} as is_open FROM store`;
             let countQuery = 'SELECT COUNT(*) FROM store';
+            let conditions = [];
             let params = [];
 
             // Add search if provided
             if (search) {
-                query += ' WHERE name ILIKE $1 OR address ILIKE $1';
-                countQuery += ' WHERE name ILIKE $1 OR address ILIKE $1';
                 params.push(`%${search}%`);
+                conditions.push(`(name ILIKE $${params.length} OR address ILIKE $${params.length})`);
+            }
+
+            if (includeClosed !== 'true') {
+                conditions.push(STORE_OPEN_SQL);
+            }
+
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                conditions.push(`id = ANY($${params.length}::int[])`);
+            }
+
+            if (conditions.length > 0) {
+                query += ' WHERE ' + conditions.join(' AND ');
+                countQuery += ' WHERE ' + conditions.join(' AND ');
             }
 
             // Add sorting and pagination
@@ -57,7 +95,7 @@ export const StoreController = {
 
             // Get store details
             const storeResult = await db.query(
-                'SELECT * FROM store WHERE id = $1',
+                `SELECT *, ${STORE_OPEN_SQL} as is_open FROM store WHERE id = $1`,
                 [id]
             );
 
@@ -111,24 +149,39 @@ export const StoreController = {
      */
     async createStore(req, res, next) {
         try {
-            const { name, address, phone } = req.body;
+            const { name, address, phone, costingMethod } = req.body;
 
             // Validate required fields
             if (!name) {
                 return res.status(400).json({ error: 'Store name is required' });
             }
 
+            if (costingMethod !== undefined && !COSTING_METHODS.includes(costingMethod)) {
+                return res.status(400).json({ error: `Costing method must be one of: ${COSTING_METHODS.join(', ')}` });
+            }
+
             // Create new store
-            const result = await db.query(
-                `INSERT INTO store (name, address, phone, created_at, updated_at) 
-         VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) 
+            const store = await db.transaction(async (client) => {
+                const result = await client.query(
+                    `INSERT INTO store (name, address, phone, costing_method, created_at, updated_at) 
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) 
          RETURNING *`,
-                [name, address, phone]
-            );
+                    [name, address, phone, costingMethod || 'FIFO']
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'store',
+                    entityId: result.rows[0].id,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
 
             res.status(201).json({
                 message: 'Store created successfully',
-                store: result.rows[0]
+                store
             });
         } catch (error) {
             next(error);
@@ -141,12 +194,16 @@ export const StoreController = {
     async updateStore(req, res, next) {
         try {
             const { id } = req.params;
-            const { name, address, phone } = req.body;
+            const { name, address, phone, costingMethod } = req.body;
 
             if (!id || isNaN(parseInt(id))) {
                 return res.status(400).json({ error: 'Valid store ID is required' });
             }
 
+            if (costingMethod !== undefined && !COSTING_METHODS.includes(costingMethod)) {
+                return res.status(400).json({ error: `Costing method must be one of: ${COSTING_METHODS.join(', ')}` });
+            }
+
             // Check if store exists
             const storeCheck = await db.query(
                 'SELECT * FROM store WHERE id = $1',
@@ -160,26 +217,40 @@ export const StoreController = {
             const existingStore = storeCheck.rows[0];
 
             // Update store
-            const result = await db.query(
-                `UPDATE store
+            const store = await db.transaction(async (client) => {
+                const result = await client.query(
+                    `UPDATE store
          SET 
            name = $1,
            address = $2,
            phone = $3,
+           costing_method = $4,
            updated_at = CURRENT_TIMESTAMP
-         WHERE id = $4
+         WHERE id = $5
          RETURNING *`,
-                [
-                    name || existingStore.name,
-                    address !== undefined ? address : existingStore.address,
-                    phone !== undefined ? phone : existingStore.phone,
-                    id
-                ]
-            );
+                    [
+                        name || existingStore.name,
+                        address !== undefined ? address : existingStore.address,
+                        phone !== undefined ? phone : existingStore.phone,
+                        costingMethod || existingStore.costing_method,
+                        id
+                    ]
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'UPDATE',
+                    entityType: 'store',
+                    entityId: id,
+                    before: existingStore,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
 
             res.json({
                 message: 'Store updated successfully',
-                store: result.rows[0]
+                store
             });
         } catch (error) {
             next(error);
@@ -216,7 +287,7 @@ export const StoreController = {
             if (inventoryCheck.rows.length > 0) {
                 return res.status(409).json({
                     error: 'Cannot delete store with existing inventory records',
-                    message: 'Please remove all inventory records first'
+                    message: 'Deactivate the store instead, or merge it into another store to move its stock'
                 });
             }
 
@@ -228,12 +299,21 @@ export const StoreController = {
             if (movementCheck.rows.length > 0) {
                 return res.status(409).json({
                     error: 'Cannot delete store with existing stock movement records',
-                    message: 'This store has transaction history that cannot be removed'
+                    message: 'This store has transaction history that cannot be removed; deactivate it instead'
                 });
             }
 
             // Delete the store
-            await db.query('DELETE FROM store WHERE id = $1', [id]);
+            await db.transaction(async (client) => {
+                await client.query('DELETE FROM store WHERE id = $1', [id]);
+
+                await AuditService.record(client, req, {
+                    action: 'DELETE',
+                    entityType: 'store',
+                    entityId: id,
+                    before: storeCheck.rows[0]
+                });
+            });
 
             res.json({
                 message: 'Store deleted successfully'
@@ -243,13 +323,346 @@ export const StoreController = {
         }
     },
 
+    /**
+     * Deactivate a store from a closing date (default today). From that date the store takes
+     * no new stock movements and is left out of store listings; its history stays reportable.
+     * The store must have no open transfers, purchase orders, reservations or cycle counts,
+     * and closing it today needs its stock moved out first (see mergeStore).
+     */
+    async deactivateStore(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { closingDate } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            if (closingDate !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(closingDate) || isNaN(Date.parse(closingDate)))) {
+                return res.status(400).json({ error: 'Closing date must be a date (YYYY-MM-DD)' });
+            }
+
+            const store = await db.transaction(async (client) => {
+                const existing = await findStore(client, id);
+
+                if (existing.merged_into_store_id) {
+                    throw new HttpError(409, 'Store has been merged into another store', {
+                        merged_into_store_id: existing.merged_into_store_id
+                    });
+                }
+
+                const result = await client.query(
+                    `UPDATE store
+           SET closing_date = COALESCE($1::date, CURRENT_DATE), updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2
+           RETURNING *, ${STORE_OPEN_SQL} as is_open`,
+                    [closingDate || null, id]
+                );
+
+                await assertNothingOutstanding(client, id, { stock: !result.rows[0].is_open });
+
+                await AuditService.record(client, req, {
+                    action: 'DEACTIVATE',
+                    entityType: 'store',
+                    entityId: id,
+                    before: existing,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
+
+            res.json({
+                message: store.is_open ? 'Store closing date scheduled' : 'Store deactivated successfully',
+                store
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Reactivate a deactivated store by clearing its closing date.
+     * Stores merged into another store stay closed.
+     */
+    async reactivateStore(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            const store = await db.transaction(async (client) => {
+                const existing = await findStore(client, id);
+
+                if (existing.merged_into_store_id) {
+                    throw new HttpError(409, 'A store merged into another store cannot be reactivated', {
+                        merged_into_store_id: existing.merged_into_store_id
+                    });
+                }
+
+                if (!existing.closing_date) {
+                    throw new HttpError(409, 'Store is not deactivated');
+                }
+
+                const result = await client.query(
+                    `UPDATE store
+           SET closing_date = NULL, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING *, ${STORE_OPEN_SQL} as is_open`,
+                    [id]
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'REACTIVATE',
+                    entityType: 'store',
+                    entityId: id,
+                    before: existing,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
+
+            res.json({
+                message: 'Store reactivated successfully',
+                store
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Merge a closing store into a target store: its remaining stock is transferred to the
+     * target, its members and users are reassigned to the target and it closes today. Responds with a
+     * report of the stock and users that moved, which is also kept (see getStoreMerge).
+     */
+    async mergeStore(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { targetStoreId, notes } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            if (!targetStoreId || isNaN(parseInt(targetStoreId))) {
+                return res.status(400).json({ error: 'Valid target store ID is required' });
+            }
+
+            if (parseInt(targetStoreId) === parseInt(id)) {
+                return res.status(400).json({ error: 'A store cannot be merged into itself' });
+            }
+
+            const report = await db.transaction(async (client) => {
+                // Lock both stores in id order so concurrent merges cannot deadlock
+                const storeResult = await client.query(
+                    `SELECT *, ${STORE_OPEN_SQL} as is_open FROM store WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+                    [[parseInt(id), parseInt(targetStoreId)]]
+                );
+                const source = storeResult.rows.find(store => store.id === parseInt(id));
+                const target = storeResult.rows.find(store => store.id === parseInt(targetStoreId));
+
+                if (!source) {
+                    throw new HttpError(404, 'Store not found');
+                }
+
+                if (!target) {
+                    throw new HttpError(404, 'Target store not found');
+                }
+
+                if (source.merged_into_store_id) {
+                    throw new HttpError(409, 'Store has already been merged into another store', {
+                        merged_into_store_id: source.merged_into_store_id
+                    });
+                }
+
+                if (!source.is_open) {
+                    throw new HttpError(409, 'Store is already closed; reactivate it to merge its stock', {
+                        closing_date: source.closing_date
+                    });
+                }
+
+                if (!target.is_open) {
+                    throw new HttpError(409, 'Cannot merge into a closed store', {
+                        target_store_id: target.id,
+                        closing_date: target.closing_date
+                    });
+                }
+
+                await assertNothingOutstanding(client, id, { stock: false });
+
+                const mergeResult = await client.query(
+                    `INSERT INTO store_merge (source_store_id, target_store_id, closing_date, merged_by)
+           VALUES ($1, $2, CURRENT_DATE, $3)
+           RETURNING *`,
+                    [source.id, target.id, req.user.userId || null]
+                );
+                const merge = mergeResult.rows[0];
+
+                // Transfer the remaining stock, product by product, at the cost it carries
+                const stock = await client.query(
+                    `SELECT product_id, quantity
+           FROM store_inventory
+           WHERE store_id = $1 AND quantity > 0
+           ORDER BY product_id`,
+                    [source.id]
+                );
+
+                let totalQuantity = 0;
+                for (const row of stock.rows) {
+                    const { movement } = await StockService.postMovement(client, {
+                        storeId: source.id,
+                        productId: row.product_id,
+                        quantity: row.quantity,
+                        type: 'TRANSFER',
+                        referenceId: `MERGE-${merge.id}`,
+                        notes: notes || `Store merge into ${target.name}`,
+                        destinationStoreId: target.id
+                    });
+
+                    await client.query(
+                        `INSERT INTO store_merge_item (merge_id, product_id, quantity, movement_id)
+             VALUES ($1, $2, $3, $4)`,
+                        [merge.id, row.product_id, row.quantity, movement.id]
+                    );
+
+                    totalQuantity += row.quantity;
+                }
+
+                // Members of the closing store become members of the target, keeping the role
+                // they already hold there if any
+                const memberships = await client.query(
+                    'DELETE FROM store_membership WHERE store_id = $1 RETURNING *',
+                    [source.id]
+                );
+
+                for (const membership of memberships.rows) {
+                    const moved = await client.query(
+                        `INSERT INTO store_membership (user_id, store_id, role)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, store_id) DO NOTHING
+             RETURNING *`,
+                        [membership.user_id, target.id, membership.role]
+                    );
+
+                    await AuditService.record(client, req, {
+                        action: 'DELETE',
+                        entityType: 'store_membership',
+                        entityId: membershipKey(membership),
+                        before: membership
+                    });
+
+                    if (moved.rows.length > 0) {
+                        await AuditService.record(client, req, {
+                            action: 'CREATE',
+                            entityType: 'store_membership',
+                            entityId: membershipKey(moved.rows[0]),
+                            after: moved.rows[0]
+                        });
+                    }
+                }
+
+                const users = await client.query(
+                    `UPDATE users
+           SET store_id = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE store_id = $2
+           RETURNING id`,
+                    [target.id, source.id]
+                );
+
+                const userIds = [...new Set([
+                    ...memberships.rows.map(membership => membership.user_id),
+                    ...users.rows.map(user => user.id)
+                ])];
+
+                await client.query(
+                    `INSERT INTO store_merge_user (merge_id, user_id)
+           SELECT $1, unnest($2::int[])`,
+                    [merge.id, userIds]
+                );
+
+                for (const user of users.rows) {
+                    await AuditService.record(client, req, {
+                        action: 'UPDATE',
+                        entityType: 'user',
+                        entityId: user.id,
+                        before: { store_id: source.id },
+                        after: { store_id: target.id }
+                    });
+                }
+
+                const closed = await client.query(
+                    `UPDATE store
+           SET closing_date = CURRENT_DATE, merged_into_store_id = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2
+           RETURNING *, ${STORE_OPEN_SQL} as is_open`,
+                    [target.id, source.id]
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'MERGE',
+                    entityType: 'store',
+                    entityId: source.id,
+                    before: source,
+                    after: closed.rows[0]
+                });
+
+                await client.query(
+                    `UPDATE store_merge
+           SET product_count = $1, total_quantity = $2, user_count = $3
+           WHERE id = $4`,
+                    [stock.rows.length, totalQuantity, userIds.length, merge.id]
+                );
+
+                return getMergeReport(client, merge.id);
+            });
+
+            res.json({
+                message: 'Store merged successfully',
+                merge: report
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get the report of a store's merge into another store
+     */
+    async getStoreMerge(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            const mergeResult = await db.query(
+                'SELECT id FROM store_merge WHERE source_store_id = $1',
+                [id]
+            );
+
+            if (mergeResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Store has not been merged' });
+            }
+
+            res.json(await getMergeReport(db, mergeResult.rows[0].id));
+        } catch (error) {
+            next(error);
+        }
+    },
+
     /**
      * Get store performance metrics
      */
     async getStoreMetrics(req, res, next) {
         try {
+            const format = getExportFormat(req);
             const { id } = req.params;
-            const { startDate, endDate } = req.query;
+            const { startDate, endDate, section = 'summary' } = req.query;
 
             if (!id || isNaN(parseInt(id))) {
                 return res.status(400).json({ error: 'Valid store ID is required' });
@@ -261,12 +674,12 @@ export const StoreController = {
 
             if (startDate && endDate) {
                 params.push(startDate, endDate);
-                dateFilter = 'AND created_at BETWEEN $2 AND $3';
+                dateFilter = 'AND sm.created_at BETWEEN $2 AND $3';
             }
 
             // Check if store exists
             const storeCheck = await db.query(
-                'SELECT id, name FROM store WHERE id = $1',
+                'SELECT id, name, costing_method FROM store WHERE id = $1',
                 [id]
             );
 
@@ -279,12 +692,10 @@ export const StoreController = {
                 `SELECT 
           COUNT(*) as transaction_count,
           SUM(quantity) as units_sold,
-          SUM(quantity * (
-            SELECT COALESCE(si.price, pc.base_price) 
-            FROM store_inventory si 
-            JOIN product_catalog pc ON si.product_id = pc.id 
-            WHERE si.store_id = sm.store_id AND si.product_id = sm.product_id
-          )) as total_sales
+          SUM(net_value) as total_sales,
+          SUM(discount_amount) as total_discounts,
+          SUM(total_cost) as cost_of_goods_sold,
+          COUNT(*) FILTER (WHERE price_is_estimated) as estimated_price_count
         FROM stock_movement sm
         WHERE store_id = $1 AND type = 'SALE' ${dateFilter}`,
                 params
@@ -304,13 +715,23 @@ export const StoreController = {
                 [id]
             );
 
+            // Get current inventory value at cost (FIFO layers or average cost)
+            const inventoryCost = await db.query(
+                `SELECT 
+          SUM(${INVENTORY_COST_VALUE_SQL}) as cost_value
+        FROM store_inventory si
+        JOIN store s ON si.store_id = s.id
+        WHERE si.store_id = $1`,
+                [id]
+            );
+
             // Get stock movement summary by type
             const movementSummary = await db.query(
                 `SELECT 
           type,
           COUNT(*) as count,
           SUM(quantity) as total_quantity
-        FROM stock_movement
+        FROM stock_movement sm
         WHERE store_id = $1 ${dateFilter}
         GROUP BY type`,
                 params
@@ -323,10 +744,10 @@ export const StoreController = {
           pc.name,
           pc.sku,
           SUM(sm.quantity) as total_quantity,
-          SUM(sm.quantity * COALESCE(si.price, pc.base_price)) as total_sales
+          SUM(sm.net_value) as total_sales,
+          SUM(sm.total_cost) as total_cost
         FROM stock_movement sm
         JOIN product_catalog pc ON sm.product_id = pc.id
-        LEFT JOIN store_inventory si ON sm.store_id = si.store_id AND sm.product_id = si.product_id
         WHERE sm.store_id = $1 AND sm.type = 'SALE' ${dateFilter}
         GROUP BY pc.id, pc.name, pc.sku
         ORDER BY total_quantity DESC
@@ -334,6 +755,9 @@ export const StoreController = {
                 params
             );
 
+            const totalSales = parseFloat(salesMetrics.rows[0].total_sales) || 0;
+            const costOfGoodsSold = parseFloat(salesMetrics.rows[0].cost_of_goods_sold) || 0;
+
             // Format the metrics
             const metrics = {
                 store: storeCheck.rows[0],
@@ -344,10 +768,17 @@ export const StoreController = {
                 sales: {
                     transaction_count: parseInt(salesMetrics.rows[0].transaction_count) || 0,
                     units_sold: parseInt(salesMetrics.rows[0].units_sold) || 0,
-                    total_sales: parseFloat(salesMetrics.rows[0].total_sales) || 0
+                    total_sales: totalSales,
+                    total_discounts: parseFloat(salesMetrics.rows[0].total_discounts) || 0,
+                    estimated_price_count: parseInt(salesMetrics.rows[0].estimated_price_count) || 0,
+                    cost_of_goods_sold: costOfGoodsSold,
+                    gross_margin: parseFloat((totalSales - costOfGoodsSold).toFixed(2)),
+                    gross_margin_percent: totalSales > 0 ?
+                        parseFloat(((totalSales - costOfGoodsSold) / totalSales * 100).toFixed(2)) : 0
                 },
                 inventory: {
                     current_value: parseFloat(inventoryValue.rows[0].avg_inventory_value) || 0,
+                    cost_value: parseFloat(inventoryCost.rows[0].cost_value) || 0,
                     turnover_ratio: salesMetrics.rows[0].total_sales && inventoryValue.rows[0].avg_inventory_value ?
                         parseFloat(salesMetrics.rows[0].total_sales) / parseFloat(inventoryValue.rows[0].avg_inventory_value) : 0
                 },
@@ -360,13 +791,326 @@ export const StoreController = {
                 }, {}),
                 top_products: topProducts.rows.map(product => ({
                     ...product,
-                    total_sales: parseFloat(product.total_sales) || 0
+                    total_sales: parseFloat(product.total_sales) || 0,
+                    total_cost: parseFloat(product.total_cost) || 0
                 }))
             };
 
+            // Exports flatten the store, period, sales and inventory figures into one summary row
+            if (format !== 'json') {
+                return await sendReport(res, format, `store-${id}-metrics`, {
+                    summary: {
+                        store_id: metrics.store.id,
+                        store_name: metrics.store.name,
+                        start_date: metrics.period.start_date,
+                        end_date: metrics.period.end_date,
+                        ...metrics.sales,
+                        inventory_value: metrics.inventory.current_value,
+                        inventory_cost_value: metrics.inventory.cost_value,
+                        turnover_ratio: metrics.inventory.turnover_ratio
+                    },
+                    movements: Object.entries(metrics.movements).map(([type, movement]) => ({
+                        type: type.toUpperCase(),
+                        ...movement
+                    })),
+                    top_products: metrics.top_products
+                }, METRICS_SHEETS, section);
+            }
+
             res.json(metrics);
         } catch (error) {
             next(error);
         }
+    },
+
+    /**
+     * List a store's members with their role at the store
+     */
+    async getStoreMembers(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            const storeCheck = await db.query('SELECT id FROM store WHERE id = $1', [id]);
+
+            if (storeCheck.rows.length === 0) {
+                return res.status(404).json({ error: 'Store not found' });
+            }
+
+            const result = await db.query(
+                `SELECT u.id as user_id, u.name, u.email, sm.role, u.store_id = sm.store_id as is_primary_store,
+                sm.created_at, sm.updated_at
+         FROM store_membership sm
+         JOIN users u ON sm.user_id = u.id
+         WHERE sm.store_id = $1
+         ORDER BY u.name`,
+                [id]
+            );
+
+            res.json({ members: result.rows });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Add a user to a store, or change their role there. A user without a primary store
+     * gets this one. Takes effect in the user's access token at its next refresh.
+     */
+    async setStoreMember(req, res, next) {
+        try {
+            const { id, userId } = req.params;
+            const { role = 'user' } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            if (!userId || isNaN(parseInt(userId))) {
+                return res.status(400).json({ error: 'Valid user ID is required' });
+            }
+
+            if (!MEMBERSHIP_ROLES.includes(role)) {
+                return res.status(400).json({ error: `Role must be one of: ${MEMBERSHIP_ROLES.join(', ')}` });
+            }
+
+            const membership = await db.transaction(async (client) => {
+                const store = await findStore(client, id);
+
+                if (!store.is_open) {
+                    throw new HttpError(409, 'Cannot add members to a closed store', {
+                        closing_date: store.closing_date
+                    });
+                }
+
+                const user = await findUser(client, userId);
+
+                if (user.role === 'admin') {
+                    throw new HttpError(400, 'Admins can access every store and need no memberships');
+                }
+
+                const existing = await client.query(
+                    'SELECT * FROM store_membership WHERE user_id = $1 AND store_id = $2 FOR UPDATE',
+                    [user.id, store.id]
+                );
+
+                const result = await client.query(
+                    `INSERT INTO store_membership (user_id, store_id, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, store_id)
+         DO UPDATE SET role = EXCLUDED.role, updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+                    [user.id, store.id, role]
+                );
+
+                await AuditService.record(client, req, {
+                    action: existing.rows.length > 0 ? 'UPDATE' : 'CREATE',
+                    entityType: 'store_membership',
+                    entityId: membershipKey(result.rows[0]),
+                    before: existing.rows[0] ?? null,
+                    after: result.rows[0]
+                });
+
+                if (user.store_id === null) {
+                    await setPrimaryStore(client, req, user, store.id);
+                }
+
+                return result.rows[0];
+            });
+
+            res.json({
+                message: 'Store membership saved successfully',
+                membership
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Remove a user from a store. If it was their primary store, their next remaining
+     * store (if any) becomes primary. Takes effect in the user's access token at its next refresh.
+     */
+    async removeStoreMember(req, res, next) {
+        try {
+            const { id, userId } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid store ID is required' });
+            }
+
+            if (!userId || isNaN(parseInt(userId))) {
+                return res.status(400).json({ error: 'Valid user ID is required' });
+            }
+
+            await db.transaction(async (client) => {
+                const user = await findUser(client, userId);
+
+                const result = await client.query(
+                    'DELETE FROM store_membership WHERE user_id = $1 AND store_id = $2 RETURNING *',
+                    [user.id, id]
+                );
+
+                if (result.rows.length === 0) {
+                    throw new HttpError(404, 'User is not a member of this store');
+                }
+
+                await AuditService.record(client, req, {
+                    action: 'DELETE',
+                    entityType: 'store_membership',
+                    entityId: membershipKey(result.rows[0]),
+                    before: result.rows[0]
+                });
+
+                if (user.store_id === parseInt(id)) {
+                    const next = await client.query(
+                        'SELECT store_id FROM store_membership WHERE user_id = $1 ORDER BY store_id LIMIT 1',
+                        [user.id]
+                    );
+
+                    await setPrimaryStore(client, req, user, next.rows[0]?.store_id ?? null);
+                }
+            });
+
+            res.json({
+                message: 'Store membership removed successfully'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
+
+/**
+ * Load a store for update, throwing HttpError(404) if it does not exist
+ */
+async function findStore(client, id) {
+    const result = await client.query(
+        `SELECT *, ${STORE_OPEN_SQL} as is_open FROM store WHERE id = $1 FOR UPDATE`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Store not found');
     }
-};
\ No newline at end of file
+
+    return result.rows[0];
+}
+
+/**
+ * Load a user for update, throwing HttpError(404) if it does not exist
+ */
+async function findUser(client, id) {
+    const result = await client.query(
+        'SELECT id, name, email, role, store_id FROM users WHERE id = $1 FOR UPDATE',
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'User not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Change a user's primary store (the default store for their lookups), recording it in the audit log
+ */
+async function setPrimaryStore(client, req, user, storeId) {
+    await client.query(
+        'UPDATE users SET store_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [storeId, user.id]
+    );
+
+    await AuditService.record(client, req, {
+        action: 'UPDATE',
+        entityType: 'user',
+        entityId: user.id,
+        before: { store_id: user.store_id },
+        after: { store_id: storeId }
+    });
+}
+
+/**
+ * Audit log entity ID of a store membership
+ */
+function membershipKey(membership) {
+    return `${membership.store_id}:${membership.user_id}`;
+}
+
+/**
+ * Throw HttpError(409) if a store has open transfers, purchase orders, reservations or
+ * cycle counts - or, with stock set, any stock on hand - that closing it would strand
+ */
+async function assertNothingOutstanding(client, storeId, { stock }) {
+    const result = await client.query(
+        `SELECT
+       (SELECT COALESCE(SUM(quantity), 0) FROM store_inventory WHERE store_id = $1)::int as quantity_on_hand,
+       (SELECT COUNT(*) FROM stock_reservation WHERE store_id = $1 AND status = 'ACTIVE')::int as active_reservations,
+       (
+         SELECT COUNT(*) FROM purchase_order
+         WHERE store_id = $1 AND status IN ('DRAFT', 'SUBMITTED', 'PARTIALLY_RECEIVED')
+       )::int as open_purchase_orders,
+       (
+         SELECT COUNT(*) FROM store_transfer
+         WHERE (source_store_id = $1 OR destination_store_id = $1) AND status IN ('DRAFT', 'IN_TRANSIT')
+       )::int as open_transfers,
+       (SELECT COUNT(*) FROM cycle_count WHERE store_id = $1 AND status = 'OPEN')::int as open_cycle_counts`,
+        [storeId]
+    );
+
+    const { quantity_on_hand, ...open } = result.rows[0];
+    const outstanding = stock ? { quantity_on_hand, ...open } : open;
+
+    if (Object.values(outstanding).some(count => count !== 0)) {
+        throw new HttpError(409, stock ? 'Cannot close a store with stock or open orders' : 'Cannot close a store with open orders', {
+            ...outstanding,
+            message: stock
+                ? 'Merge the store into another store to move its stock, and close its reservations, purchase orders, transfers and cycle counts first'
+                : 'Close its reservations, purchase orders, transfers and cycle counts first'
+        });
+    }
+}
+
+/**
+ * Build a store merge report: the stores, the stock that moved and the users reassigned
+ */
+async function getMergeReport(client, mergeId) {
+    const mergeResult = await client.query(
+        `SELECT sm.*, src.name as source_store_name, tgt.name as target_store_name, u.name as merged_by_name
+       FROM store_merge sm
+       JOIN store src ON sm.source_store_id = src.id
+       JOIN store tgt ON sm.target_store_id = tgt.id
+       LEFT JOIN users u ON sm.merged_by = u.id
+       WHERE sm.id = $1`,
+        [mergeId]
+    );
+    const merge = mergeResult.rows[0];
+
+    const items = await client.query(
+        `SELECT smi.product_id, pc.name as product_name, pc.sku, smi.quantity, smi.movement_id
+       FROM store_merge_item smi
+       JOIN product_catalog pc ON smi.product_id = pc.id
+       WHERE smi.merge_id = $1
+       ORDER BY smi.product_id`,
+        [mergeId]
+    );
+
+    const users = await client.query(
+        `SELECT u.id, u.name, u.email, u.role
+       FROM store_merge_user smu
+       JOIN users u ON smu.user_id = u.id
+       WHERE smu.merge_id = $1
+       ORDER BY u.name`,
+        [mergeId]
+    );
+
+    return {
+        ...merge,
+        items: items.rows,
+        users: users.rows
+    };
+}
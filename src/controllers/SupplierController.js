@@ -0,0 +1,246 @@
+import { db } from '../config/database.js';
+import { AuditService } from '../services/AuditService.js';
+
+export const SupplierController = {
+    /**
+     * Get all suppliers with optional search and pagination
+     */
+    async getAllSuppliers(req, res, next) {
+        try {
+            const { page = 1, limit = 20, search } = req.query;
+            const offset = (page - 1) * limit;
+
+            let query = 'SELECT * FROM supplier';
+            let countQuery = 'SELECT COUNT(*) FROM supplier';
+            let params = [];
+
+            // Add search if provided
+            if (search) {
+                query += ' WHERE name ILIKE $1 OR contact_name ILIKE $1 OR email ILIKE $1';
+                countQuery += ' WHERE name ILIKE $1 OR contact_name ILIKE $1 OR email ILIKE $1';
+                params.push(`%${search}%`);
+            }
+
+            // Add sorting and pagination
+            query += ' ORDER BY name LIMIT $' + (params.length + 1) + ' OFFSET $' + (params.length + 2);
+
+            // Execute queries
+            const suppliers = await db.query(query, [...params, limit, offset]);
+            const countResult = await db.query(countQuery, params);
+
+            const total = parseInt(countResult.rows[0].count);
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                suppliers: suppliers.rows,
+                pagination: {
+                    total,
+                    totalPages,
+                    currentPage: parseInt(page),
+                    limit: parseInt(limit)
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get a single supplier by ID
+     */
+    async getSupplierById(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid supplier ID is required' });
+            }
+
+            const result = await db.query(
+                'SELECT * FROM supplier WHERE id = $1',
+                [id]
+            );
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Supplier not found' });
+            }
+
+            // Get purchase order counts by status
+            const orderSummary = await db.query(
+                `SELECT status, COUNT(*) as count
+        FROM purchase_order
+        WHERE supplier_id = $1
+        GROUP BY status`,
+                [id]
+            );
+
+            res.json({
+                ...result.rows[0],
+                purchase_orders: orderSummary.rows.reduce((acc, row) => {
+                    acc[row.status.toLowerCase()] = parseInt(row.count);
+                    return acc;
+                }, {})
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Create a new supplier
+     */
+    async createSupplier(req, res, next) {
+        try {
+            const { name, contactName, email, phone, address } = req.body;
+
+            // Validate required fields
+            if (!name) {
+                return res.status(400).json({ error: 'Supplier name is required' });
+            }
+
+            const supplier = await db.transaction(async (client) => {
+                const result = await client.query(
+                    `INSERT INTO supplier (name, contact_name, email, phone, address)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+                    [name, contactName, email, phone, address]
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'supplier',
+                    entityId: result.rows[0].id,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
+
+            res.status(201).json({
+                message: 'Supplier created successfully',
+                supplier
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Update an existing supplier
+     */
+    async updateSupplier(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { name, contactName, email, phone, address } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid supplier ID is required' });
+            }
+
+            // Check if supplier exists
+            const supplierCheck = await db.query(
+                'SELECT * FROM supplier WHERE id = $1',
+                [id]
+            );
+
+            if (supplierCheck.rows.length === 0) {
+                return res.status(404).json({ error: 'Supplier not found' });
+            }
+
+            const existingSupplier = supplierCheck.rows[0];
+
+            const supplier = await db.transaction(async (client) => {
+                const result = await client.query(
+                    `UPDATE supplier
+         SET 
+           name = $1,
+           contact_name = $2,
+           email = $3,
+           phone = $4,
+           address = $5,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6
+         RETURNING *`,
+                    [
+                        name || existingSupplier.name,
+                        contactName !== undefined ? contactName : existingSupplier.contact_name,
+                        email !== undefined ? email : existingSupplier.email,
+                        phone !== undefined ? phone : existingSupplier.phone,
+                        address !== undefined ? address : existingSupplier.address,
+                        id
+                    ]
+                );
+
+                await AuditService.record(client, req, {
+                    action: 'UPDATE',
+                    entityType: 'supplier',
+                    entityId: id,
+                    before: existingSupplier,
+                    after: result.rows[0]
+                });
+
+                return result.rows[0];
+            });
+
+            res.json({
+                message: 'Supplier updated successfully',
+                supplier
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Delete a supplier
+     */
+    async deleteSupplier(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid supplier ID is required' });
+            }
+
+            // Check if supplier exists
+            const supplierCheck = await db.query(
+                'SELECT * FROM supplier WHERE id = $1',
+                [id]
+            );
+
+            if (supplierCheck.rows.length === 0) {
+                return res.status(404).json({ error: 'Supplier not found' });
+            }
+
+            // Check if supplier has purchase orders
+            const orderCheck = await db.query(
+                'SELECT id FROM purchase_order WHERE supplier_id = $1 LIMIT 1',
+                [id]
+            );
+
+            if (orderCheck.rows.length > 0) {
+                return res.status(409).json({
+                    error: 'Cannot delete supplier with existing purchase orders',
+                    message: 'This supplier has purchase order history that cannot be removed'
+                });
+            }
+
+            await db.transaction(async (client) => {
+                await client.query('DELETE FROM supplier WHERE id = $1', [id]);
+
+                await AuditService.record(client, req, {
+                    action: 'DELETE',
+                    entityType: 'supplier',
+                    entityId: id,
+                    before: supplierCheck.rows[0]
+                });
+            });
+
+            res.json({
+                message: 'Supplier deleted successfully'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
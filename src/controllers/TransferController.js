@@ -0,0 +1,587 @@
+import { db } from '../config/database.js';
+import { getAccessibleStoreIds, hasStoreAccess } from '../middleware/auth.js';
+import { HttpError } from '../utils/HttpError.js';
+import { StockService } from '../services/StockService.js';
+import { AuditService } from '../services/AuditService.js';
+
+export const TransferController = {
+    /**
+     * Get transfers with pagination and filtering
+     * (non-admin users only see transfers leaving or arriving at their own store)
+     */
+    async getAllTransfers(req, res, next) {
+        try {
+            const {
+                page = 1,
+                limit = 20,
+                status, // a status, or 'open' for DRAFT and IN_TRANSIT
+                direction, // 'incoming' or 'outgoing', relative to storeId
+                storeId,
+                hasDiscrepancy
+            } = req.query;
+
+            const offset = (page - 1) * limit;
+            let params = [];
+            let whereConditions = [];
+
+            if (status === 'open') {
+                whereConditions.push(`t.status IN ('DRAFT', 'IN_TRANSIT')`);
+            } else if (status) {
+                params.push(status.toUpperCase());
+                whereConditions.push(`t.status = $${params.length}`);
+            }
+
+            // Apply a store condition to the side(s) of the transfer the direction asks for
+            const storeCondition = (condition) => {
+                if (direction === 'incoming') {
+                    return `t.destination_store_id ${condition}`;
+                } else if (direction === 'outgoing') {
+                    return `t.source_store_id ${condition}`;
+                }
+                return `(t.source_store_id ${condition} OR t.destination_store_id ${condition})`;
+            };
+
+            if (storeId) {
+                params.push(storeId);
+                whereConditions.push(storeCondition(`= $${params.length}`));
+            }
+
+            // Non-admin users are always scoped to their own stores
+            const storeIds = getAccessibleStoreIds(req.user);
+            if (storeIds) {
+                params.push(storeIds);
+                whereConditions.push(storeCondition(`= ANY($${params.length}::int[])`));
+            }
+
+            if (hasDiscrepancy === 'true') {
+                whereConditions.push(`EXISTS (
+          SELECT 1 FROM store_transfer_item ti
+          WHERE ti.transfer_id = t.id AND ti.discrepancy_quantity <> 0
+        )`);
+            }
+
+            let queryBase = `
+        SELECT 
+          t.*,
+          src.name as source_store_name,
+          dest.name as destination_store_name,
+          (SELECT COUNT(*) FROM store_transfer_item ti WHERE ti.transfer_id = t.id) as item_count
+        FROM store_transfer t
+        JOIN store src ON t.source_store_id = src.id
+        JOIN store dest ON t.destination_store_id = dest.id
+      `;
+
+            if (whereConditions.length > 0) {
+                queryBase += ` WHERE ${whereConditions.join(' AND ')}`;
+            }
+
+            const countQuery = `SELECT COUNT(*) FROM (${queryBase}) as filtered_transfers`;
+            const query = `
+        ${queryBase}
+        ORDER BY t.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+            const countResult = await db.query(countQuery, params);
+            const result = await db.query(query, [...params, parseInt(limit), parseInt(offset)]);
+
+            const total = parseInt(countResult.rows[0].count);
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                transfers: result.rows.map(transfer => ({
+                    ...transfer,
+                    item_count: parseInt(transfer.item_count)
+                })),
+                pagination: {
+                    total,
+                    totalPages,
+                    currentPage: parseInt(page),
+                    limit: parseInt(limit)
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get a single transfer with its line items
+     */
+    async getTransferById(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid transfer ID is required' });
+            }
+
+            await findTransfer(db, id, req, 'either');
+
+            res.json(await getTransferDetails(db, id));
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Create a draft transfer from the source store.
+     * A store that is closed or has a closing date scheduled cannot be the destination.
+     */
+    async createTransfer(req, res, next) {
+        try {
+            const { sourceStoreId, destinationStoreId, notes, items } = req.body;
+
+            if (!sourceStoreId || !destinationStoreId) {
+                return res.status(400).json({ error: 'Source and destination store IDs are required' });
+            }
+
+            if (parseInt(sourceStoreId) === parseInt(destinationStoreId)) {
+                return res.status(400).json({ error: 'Destination store must differ from the source store' });
+            }
+
+            if (!hasStoreAccess(req.user, sourceStoreId, req.authorizedRoles)) {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'You do not have permission to access data for this store'
+                });
+            }
+
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({ error: 'At least one item is required' });
+            }
+
+            const productIds = new Set();
+            for (const item of items) {
+                if (!item.productId || isNaN(parseInt(item.productId))) {
+                    return res.status(400).json({ error: 'Each item needs a valid product ID' });
+                }
+
+                if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+                    return res.status(400).json({ error: 'Each item quantity must be a whole number greater than zero' });
+                }
+
+                if (productIds.has(parseInt(item.productId))) {
+                    return res.status(400).json({ error: 'Each product may only appear once' });
+                }
+                productIds.add(parseInt(item.productId));
+            }
+
+            const transfer = await db.transaction(async (client) => {
+                const storeCheck = await client.query(
+                    'SELECT *, closing_date <= CURRENT_DATE as is_closed FROM store WHERE id = ANY($1::int[])',
+                    [[parseInt(sourceStoreId), parseInt(destinationStoreId)]]
+                );
+
+                if (storeCheck.rows.length < 2) {
+                    throw new HttpError(404, 'Store not found');
+                }
+
+                // Closed stores can neither ship nor receive transfers
+                storeCheck.rows.forEach(store => StockService.assertStoreOpen(store));
+                assertCanReceiveTransfers(storeCheck.rows.find(store => store.id === parseInt(destinationStoreId)));
+
+                const result = await client.query(
+                    `INSERT INTO store_transfer (source_store_id, destination_store_id, notes, created_by)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+                    [sourceStoreId, destinationStoreId, notes, req.user.userId || null]
+                );
+
+                for (const item of items) {
+                    const productCheck = await client.query('SELECT id FROM product_catalog WHERE id = $1', [item.productId]);
+                    if (productCheck.rows.length === 0) {
+                        throw new HttpError(404, `Product ${item.productId} not found`);
+                    }
+
+                    await client.query(
+                        `INSERT INTO store_transfer_item (transfer_id, product_id, quantity_requested)
+             VALUES ($1, $2, $3)`,
+                        [result.rows[0].id, item.productId, item.quantity]
+                    );
+                }
+
+                const created = await getTransferDetails(client, result.rows[0].id);
+
+                await AuditService.record(client, req, {
+                    action: 'CREATE',
+                    entityType: 'transfer',
+                    entityId: created.id,
+                    after: created
+                });
+
+                return created;
+            });
+
+            res.status(201).json({
+                message: 'Transfer created successfully',
+                transfer
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Ship a draft transfer: stock leaves the source store and is held in transit
+     */
+    async shipTransfer(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid transfer ID is required' });
+            }
+
+            const transfer = await db.transaction(async (client) => {
+                const current = await findTransfer(client, id, req, 'source', { lock: true });
+                assertStatus(current, ['DRAFT'], 'Only draft transfers can be shipped');
+
+                const destination = await client.query('SELECT * FROM store WHERE id = $1', [current.destination_store_id]);
+                assertCanReceiveTransfers(destination.rows[0]);
+
+                const before = await getTransferDetails(client, id);
+
+                const items = await client.query(
+                    'SELECT * FROM store_transfer_item WHERE transfer_id = $1 ORDER BY product_id',
+                    [id]
+                );
+
+                for (const item of items.rows) {
+                    const { movement } = await StockService.postMovement(client, {
+                        storeId: current.source_store_id,
+                        productId: item.product_id,
+                        quantity: item.quantity_requested,
+                        type: 'TRANSFER',
+                        referenceId: `TR-${current.id}`,
+                        notes: `Shipped on transfer #${current.id} to Store #${current.destination_store_id}`
+                    });
+
+                    await client.query(
+                        `UPDATE store_transfer_item
+             SET quantity_shipped = $1, ship_movement_id = $2
+             WHERE id = $3`,
+                        [item.quantity_requested, movement.id, item.id]
+                    );
+                }
+
+                await client.query(
+                    `UPDATE store_transfer
+           SET status = 'IN_TRANSIT', shipped_by = $1, shipped_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2`,
+                    [req.user.userId || null, id]
+                );
+
+                const after = await getTransferDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'SHIP',
+                    entityType: 'transfer',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Transfer shipped successfully',
+                transfer
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Receive an in-transit transfer at the destination store.
+     * Every line must be confirmed; a received quantity that differs from the
+     * shipped quantity is recorded as a discrepancy and needs a reason.
+     */
+    async receiveTransfer(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { items } = req.body;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid transfer ID is required' });
+            }
+
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({ error: 'Received quantities are required for every item' });
+            }
+
+            for (const item of items) {
+                if (!item.productId || isNaN(parseInt(item.productId))) {
+                    return res.status(400).json({ error: 'Each item needs a valid product ID' });
+                }
+
+                if (!Number.isInteger(item.quantityReceived) || item.quantityReceived < 0) {
+                    return res.status(400).json({ error: 'Each received quantity must be a whole number of zero or more' });
+                }
+            }
+
+            const transfer = await db.transaction(async (client) => {
+                const current = await findTransfer(client, id, req, 'destination', { lock: true });
+                assertStatus(current, ['IN_TRANSIT'], 'Only in-transit transfers can be received');
+                const before = await getTransferDetails(client, id);
+
+                const transferItems = await client.query(
+                    'SELECT * FROM store_transfer_item WHERE transfer_id = $1 ORDER BY product_id',
+                    [id]
+                );
+                const confirmed = new Map(items.map(item => [parseInt(item.productId), item]));
+
+                const unknown = items.find(item =>
+                    !transferItems.rows.some(row => row.product_id === parseInt(item.productId)));
+                if (unknown) {
+                    throw new HttpError(400, `Product ${unknown.productId} is not on this transfer`);
+                }
+
+                for (const item of transferItems.rows) {
+                    const confirmation = confirmed.get(item.product_id);
+
+                    if (!confirmation) {
+                        throw new HttpError(400, 'Received quantities are required for every item', {
+                            missing_product_id: item.product_id
+                        });
+                    }
+
+                    const quantityReceived = confirmation.quantityReceived;
+                    const discrepancy = quantityReceived - item.quantity_shipped;
+
+                    if (discrepancy !== 0 && !confirmation.reason) {
+                        throw new HttpError(400, 'A reason is required when the received quantity differs from the shipped quantity', {
+                            product_id: item.product_id,
+                            shipped: item.quantity_shipped,
+                            received: quantityReceived
+                        });
+                    }
+
+                    let receiveMovementId = null;
+                    if (quantityReceived > 0) {
+                        // Received stock keeps the cost it was shipped at
+                        const shipMovement = await client.query(
+                            'SELECT unit_cost FROM stock_movement WHERE id = $1',
+                            [item.ship_movement_id]
+                        );
+                        const shippedUnitCost = shipMovement.rows[0].unit_cost;
+
+                        const { movement } = await StockService.postMovement(client, {
+                            storeId: current.destination_store_id,
+                            productId: item.product_id,
+                            quantity: quantityReceived,
+                            type: 'STOCK_IN',
+                            referenceId: `TR-${current.id}`,
+                            notes: `Transfer from Store #${current.source_store_id} - received on transfer #${current.id}`,
+                            splitLots: await getReceivedLots(client, item.ship_movement_id, quantityReceived),
+                            transferReceipt: true,
+                            unitCost: shippedUnitCost !== null ? parseFloat(shippedUnitCost) : null
+                        });
+                        receiveMovementId = movement.id;
+                    }
+
+                    await client.query(
+                        `UPDATE store_transfer_item
+             SET 
+               quantity_received = $1,
+               discrepancy_quantity = $2,
+               discrepancy_reason = $3,
+               receive_movement_id = $4
+             WHERE id = $5`,
+                        [quantityReceived, discrepancy, discrepancy !== 0 ? confirmation.reason : null, receiveMovementId, item.id]
+                    );
+                }
+
+                await client.query(
+                    `UPDATE store_transfer
+           SET status = 'RECEIVED', received_by = $1, received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2`,
+                    [req.user.userId || null, id]
+                );
+
+                const after = await getTransferDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'RECEIVE',
+                    entityType: 'transfer',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Transfer received successfully',
+                transfer
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Cancel a transfer that has not shipped yet
+     */
+    async cancelTransfer(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(parseInt(id))) {
+                return res.status(400).json({ error: 'Valid transfer ID is required' });
+            }
+
+            const transfer = await db.transaction(async (client) => {
+                const current = await findTransfer(client, id, req, 'source', { lock: true });
+                assertStatus(current, ['DRAFT'], 'Only draft transfers can be cancelled');
+                const before = await getTransferDetails(client, id);
+
+                await client.query(
+                    `UPDATE store_transfer SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                    [id]
+                );
+
+                const after = await getTransferDetails(client, id);
+
+                await AuditService.record(client, req, {
+                    action: 'CANCEL',
+                    entityType: 'transfer',
+                    entityId: id,
+                    before,
+                    after
+                });
+
+                return after;
+            });
+
+            res.json({
+                message: 'Transfer cancelled successfully',
+                transfer
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+};
+
+/**
+ * Load a transfer, checking that the user can act for the given side in a store role the route allows
+ * ('source', 'destination' or 'either'), optionally locking it (FOR UPDATE)
+ */
+async function findTransfer(client, id, req, side, { lock = false } = {}) {
+    const result = await client.query(
+        `SELECT * FROM store_transfer WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Transfer not found');
+    }
+
+    const transfer = result.rows[0];
+    const allowed =
+        (side !== 'destination' && hasStoreAccess(req.user, transfer.source_store_id, req.authorizedRoles)) ||
+        (side !== 'source' && hasStoreAccess(req.user, transfer.destination_store_id, req.authorizedRoles));
+
+    if (!allowed) {
+        throw new HttpError(403, 'Access denied', {
+            message: 'You do not have permission to access data for this store'
+        });
+    }
+
+    return transfer;
+}
+
+/**
+ * Throw a 409 if the store has a closing date. A transfer still in transit on that date
+ * could neither be received nor cancelled, so a closing store takes no transfers in.
+ */
+function assertCanReceiveTransfers(store) {
+    if (store.closing_date) {
+        throw new HttpError(409, `Store ${store.name} is scheduled to close; it cannot receive transfers`, {
+            store_id: store.id,
+            closing_date: store.closing_date
+        });
+    }
+}
+
+/**
+ * Throw a 409 unless the transfer is in one of the allowed statuses
+ */
+function assertStatus(transfer, allowedStatuses, message) {
+    if (!allowedStatuses.includes(transfer.status)) {
+        throw new HttpError(409, message, { status: transfer.status });
+    }
+}
+
+/**
+ * Split a received quantity over the lots that were shipped, in the order they left
+ * the source store. Anything received beyond the shipped lots becomes an untracked lot.
+ */
+async function getReceivedLots(client, shipMovementId, quantityReceived) {
+    const shippedLots = await client.query(
+        `SELECT sml.quantity, sl.lot_number, sl.expiry_date
+    FROM stock_movement_lot sml
+    JOIN stock_lot sl ON sml.stock_lot_id = sl.id
+    WHERE sml.stock_movement_id = $1
+    ORDER BY sml.id`,
+        [shipMovementId]
+    );
+
+    const lots = [];
+    let remaining = quantityReceived;
+
+    for (const lot of shippedLots.rows) {
+        if (remaining === 0) break;
+
+        const quantity = Math.min(lot.quantity, remaining);
+        lots.push({ lotNumber: lot.lot_number, expiryDate: lot.expiry_date, quantity });
+        remaining -= quantity;
+    }
+
+    if (remaining > 0) {
+        lots.push({ quantity: remaining });
+    }
+
+    return lots;
+}
+
+/**
+ * Get a transfer with store names and line items
+ */
+async function getTransferDetails(client, id) {
+    const transferResult = await client.query(
+        `SELECT 
+      t.*,
+      src.name as source_store_name,
+      dest.name as destination_store_name
+    FROM store_transfer t
+    JOIN store src ON t.source_store_id = src.id
+    JOIN store dest ON t.destination_store_id = dest.id
+    WHERE t.id = $1`,
+        [id]
+    );
+
+    const itemsResult = await client.query(
+        `SELECT 
+      ti.*,
+      pc.name as product_name,
+      pc.sku
+    FROM store_transfer_item ti
+    JOIN product_catalog pc ON ti.product_id = pc.id
+    WHERE ti.transfer_id = $1
+    ORDER BY ti.id`,
+        [id]
+    );
+
+    const items = itemsResult.rows;
+
+    return {
+        ...transferResult.rows[0],
+        items,
+        discrepancies: items.filter(item => item.discrepancy_quantity !== null && item.discrepancy_quantity !== 0)
+    };
+}
@@ -0,0 +1,28 @@
+import { db } from '../config/database.js';
+import { InventoryHistoryService } from '../services/InventoryHistoryService.js';
+
+const INTERVAL_MS = 60 * 60 * 1000; // every hour
+
+/**
+ * Take yesterday's end-of-day inventory snapshot once the day is over
+ * (hourly, so a restart or missed run catches up)
+ */
+export const startInventorySnapshotJob = () => {
+    const run = async () => {
+        try {
+            const existing = await db.query(
+                'SELECT 1 FROM inventory_snapshot WHERE snapshot_date = CURRENT_DATE - 1 LIMIT 1'
+            );
+            if (existing.rows.length > 0) return;
+
+            const yesterday = await db.query('SELECT (CURRENT_DATE - 1)::text as snapshot_date');
+            const written = await InventoryHistoryService.takeSnapshot(db, yesterday.rows[0].snapshot_date);
+            console.log(`[${new Date().toISOString()}] Inventory snapshot for ${yesterday.rows[0].snapshot_date}: ${written} row(s)`);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Inventory snapshot job error: ${error.message}`);
+        }
+    };
+
+    run();
+    return setInterval(run, INTERVAL_MS).unref();
+};
@@ -0,0 +1,26 @@
+import { db } from '../config/database.js';
+import { InventoryHistoryService } from '../services/InventoryHistoryService.js';
+
+const INTERVAL_MS = 24 * 60 * 60 * 1000; // daily
+
+/**
+ * Reconcile store_inventory against the movement ledger once a day and log any drift.
+ * The job only reports; corrections are posted from the admin endpoint.
+ */
+export const startLedgerReconciliationJob = () => {
+    const run = async () => {
+        try {
+            const reconciliation = await db.transaction(client =>
+                InventoryHistoryService.reconcileLedger(client)
+            );
+
+            if (reconciliation.mismatch_count > 0) {
+                console.warn(`[${new Date().toISOString()}] Ledger reconciliation #${reconciliation.id}: ${reconciliation.mismatch_count} of ${reconciliation.checked_count} inventory record(s) differ from their movements`);
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Ledger reconciliation job error: ${error.message}`);
+        }
+    };
+
+    return setInterval(run, INTERVAL_MS).unref();
+};
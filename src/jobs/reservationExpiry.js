@@ -0,0 +1,23 @@
+import { db } from '../config/database.js';
+import { StockService } from '../services/StockService.js';
+
+const INTERVAL_MS = 60 * 1000; // every minute
+
+/**
+ * Periodically mark expired reservations as EXPIRED so their stock shows as released
+ */
+export const startReservationExpiryJob = () => {
+    const run = async () => {
+        try {
+            const released = await StockService.releaseExpiredReservations(db);
+            if (released > 0) {
+                console.log(`[${new Date().toISOString()}] Released ${released} expired reservation(s)`);
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Reservation expiry job error: ${error.message}`);
+        }
+    };
+
+    run();
+    return setInterval(run, INTERVAL_MS).unref();
+};
@@ -0,0 +1,33 @@
+import { db } from '../config/database.js';
+import { AuditService } from '../services/AuditService.js';
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Make sure every successful write leaves an audit entry. Controllers record the
+ * entities they change with before/after snapshots (AuditService.record); a write
+ * that completes without recording anything is logged here with its request body.
+ */
+export const auditWrites = () => {
+    return (req, res, next) => {
+        if (!WRITE_METHODS.includes(req.method)) {
+            return next();
+        }
+
+        res.on('finish', () => {
+            if (res.statusCode >= 400 || req.auditRecorded) {
+                return;
+            }
+
+            AuditService.record(db, req, {
+                action: req.method,
+                entityType: 'request',
+                after: typeof req.body === 'object' ? req.body : null
+            }).catch(error => {
+                console.error(`[${new Date().toISOString()}] Audit log write failed for ${req.method} ${req.originalUrl}: ${error.message}`);
+            });
+        });
+
+        next();
+    };
+};
@@ -28,20 +28,58 @@ export const authenticate = (req, res, next) => {
 };
 
 // Role-based authorization
-export const authorize = (roles = []) => {
+// By default only the user's own role counts. With perStore, a role held at any of the
+// user's stores also qualifies: for routes that go on to check the specific store, where
+// enforceStoreAccess (or the controller's store check) requires the role at that store.
+export const authorize = (roles = [], { perStore = false } = {}) => {
     return (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        if (roles.length && !roles.includes(req.user.role)) {
+        if (roles.length && !roles.includes(req.user.role) &&
+            !(perStore && getStoreMemberships(req.user).some(membership => roles.includes(membership.role)))) {
             return res.status(403).json({ error: 'Insufficient permissions' });
         }
 
+        req.authorizedRoles = roles;
         next();
     };
 };
 
+/**
+ * Get a user's store memberships ([{ storeId, role }]).
+ * Tokens issued before memberships existed carry only storeId, which counts as a
+ * membership with the user's own role.
+ */
+export const getStoreMemberships = (user) => {
+    if (!user) return [];
+    if (Array.isArray(user.stores)) return user.stores;
+    return user.storeId ? [{ storeId: user.storeId, role: user.role }] : [];
+};
+
+/**
+ * Get the IDs of the stores a user may access, or null for admins (every store)
+ */
+export const getAccessibleStoreIds = (user) => {
+    if (user?.role === 'admin') return null;
+    return getStoreMemberships(user).map(membership => membership.storeId);
+};
+
+/**
+ * Check whether a user may access data for a store (admins may access any store).
+ * With roles, the user's membership role at that store must also be one of them.
+ */
+export const hasStoreAccess = (user, storeId, roles = []) => {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+
+    const membership = getStoreMemberships(user).find(m => m.storeId === parseInt(storeId));
+    if (!membership) return false;
+
+    return !roles.length || roles.includes(membership.role);
+};
+
 // Store-aware authorization middleware
 export const enforceStoreAccess = () => {
     return (req, res, next) => {
@@ -50,16 +88,22 @@ export const enforceStoreAccess = () => {
             return next();
         }
 
-        // Get requested store ID (from route params or query)
-        const requestedStoreId = parseInt(req.params.storeId || req.params.id || req.query.storeId);
+        // Get requested store ID (from route params, query or request body)
+        const requestedStoreId = parseInt(
+            req.params.storeId || req.params.id || req.query.storeId || req.body?.storeId
+        );
 
-        // If no specific store is requested, continue
+        // If no specific store is requested, continue - unless the route's role is only held at
+        // some stores, which says nothing about access across stores
         if (!requestedStoreId) {
+            if (req.authorizedRoles?.length && !req.authorizedRoles.includes(req.user?.role)) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
             return next();
         }
 
-        // Check if user has access to requested store
-        if (!req.user || req.user.storeId !== requestedStoreId) {
+        // Check the user is a member of the requested store, in a role the route allows
+        if (!hasStoreAccess(req.user, requestedStoreId, req.authorizedRoles)) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: 'You do not have permission to access data for this store'
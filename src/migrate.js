@@ -0,0 +1,61 @@
+import { db } from './config/database.js';
+import { migrator } from './config/migrator.js';
+
+/**
+ * Migration CLI
+ *
+ *   node src/migrate.js up            apply all pending migrations
+ *   node src/migrate.js down [steps]  revert the last applied migration(s)
+ *   node src/migrate.js status        list migrations and whether they are applied
+ */
+const formatMigration = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+const run = async () => {
+    const [command = 'status', arg] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            const applied = await migrator.up();
+            if (applied.length === 0) {
+                console.log('No pending migrations');
+            }
+            applied.forEach(migration => console.log(`Applied ${formatMigration(migration)}`));
+            break;
+        }
+
+        case 'down': {
+            const steps = arg ? parseInt(arg) : 1;
+            if (isNaN(steps) || steps < 1) {
+                throw new Error('Steps must be a positive number');
+            }
+
+            const reverted = await migrator.down(steps);
+            if (reverted.length === 0) {
+                console.log('No applied migrations to revert');
+            }
+            reverted.forEach(migration => console.log(`Reverted ${formatMigration(migration)}`));
+            break;
+        }
+
+        case 'status': {
+            const migrations = await migrator.status();
+            migrations.forEach(migration => {
+                const state = migration.applied
+                    ? `applied ${new Date(migration.applied_at).toISOString()}`
+                    : 'pending';
+                console.log(`${formatMigration(migration)}  ${state}`);
+            });
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}". Use up, down [steps] or status`);
+    }
+};
+
+run()
+    .catch(error => {
+        console.error(`Migration error: ${error.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -0,0 +1,42 @@
+/**
+ * Stock lots (lot number, expiry and received date) under each store_inventory row,
+ * plus the lots each stock movement touched. Existing stock becomes one untracked lot.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE stock_lot (
+    id SERIAL PRIMARY KEY,
+    store_inventory_id INTEGER NOT NULL REFERENCES store_inventory(id),
+    lot_number VARCHAR(50),
+    expiry_date DATE,
+    received_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE stock_movement_lot (
+    id SERIAL PRIMARY KEY,
+    stock_movement_id INTEGER NOT NULL REFERENCES stock_movement(id),
+    stock_lot_id INTEGER NOT NULL REFERENCES stock_lot(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0)
+);
+
+CREATE INDEX idx_stock_lot_inventory ON stock_lot(store_inventory_id);
+CREATE INDEX idx_stock_lot_expiry ON stock_lot(expiry_date) WHERE quantity > 0;
+CREATE INDEX idx_stock_movement_lot_movement ON stock_movement_lot(stock_movement_id);
+CREATE INDEX idx_stock_movement_lot_lot ON stock_movement_lot(stock_lot_id);
+
+INSERT INTO stock_lot (store_inventory_id, received_date, quantity)
+SELECT id, COALESCE(created_at::date, CURRENT_DATE), quantity
+FROM store_inventory
+WHERE quantity > 0;
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS stock_movement_lot;
+DROP TABLE IF EXISTS stock_lot;
+`);
+}
@@ -0,0 +1,76 @@
+/**
+ * Supplier registry and purchase orders with line items and receipts.
+ * Status flow: DRAFT -> SUBMITTED -> PARTIALLY_RECEIVED -> RECEIVED / CLOSED (or CANCELLED before receiving)
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE supplier (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    contact_name VARCHAR(100),
+    email VARCHAR(100),
+    phone VARCHAR(20),
+    address TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE purchase_order (
+    id SERIAL PRIMARY KEY,
+    supplier_id INTEGER NOT NULL REFERENCES supplier(id),
+    store_id INTEGER NOT NULL REFERENCES store(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'DRAFT'
+        CHECK (status IN ('DRAFT', 'SUBMITTED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CLOSED', 'CANCELLED')),
+    expected_date DATE,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id),
+    submitted_at TIMESTAMP,
+    received_at TIMESTAMP,
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE purchase_order_item (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_order(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id),
+    quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    unit_cost DECIMAL(10,2),
+    UNIQUE(purchase_order_id, product_id)
+);
+
+CREATE TABLE purchase_order_receipt (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_order(id),
+    received_by INTEGER REFERENCES users(id),
+    notes TEXT,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE purchase_order_receipt_item (
+    id SERIAL PRIMARY KEY,
+    receipt_id INTEGER NOT NULL REFERENCES purchase_order_receipt(id),
+    purchase_order_item_id INTEGER NOT NULL REFERENCES purchase_order_item(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    stock_movement_id INTEGER NOT NULL REFERENCES stock_movement(id)
+);
+
+CREATE INDEX idx_purchase_order_supplier ON purchase_order(supplier_id);
+CREATE INDEX idx_purchase_order_store_status ON purchase_order(store_id, status);
+CREATE INDEX idx_purchase_order_item_order ON purchase_order_item(purchase_order_id);
+CREATE INDEX idx_purchase_order_receipt_order ON purchase_order_receipt(purchase_order_id);
+CREATE INDEX idx_purchase_order_receipt_item_receipt ON purchase_order_receipt_item(receipt_id);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS purchase_order_receipt_item;
+DROP TABLE IF EXISTS purchase_order_receipt;
+DROP TABLE IF EXISTS purchase_order_item;
+DROP TABLE IF EXISTS purchase_order;
+DROP TABLE IF EXISTS supplier;
+`);
+}
@@ -0,0 +1,50 @@
+/**
+ * Two-phase store transfers: shipped by the source store (stock held in transit),
+ * then received by the destination store with any discrepancies recorded per line.
+ * Status flow: DRAFT -> IN_TRANSIT -> RECEIVED (or CANCELLED while still a draft)
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE store_transfer (
+    id SERIAL PRIMARY KEY,
+    source_store_id INTEGER NOT NULL REFERENCES store(id),
+    destination_store_id INTEGER NOT NULL REFERENCES store(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'DRAFT'
+        CHECK (status IN ('DRAFT', 'IN_TRANSIT', 'RECEIVED', 'CANCELLED')),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id),
+    shipped_by INTEGER REFERENCES users(id),
+    received_by INTEGER REFERENCES users(id),
+    shipped_at TIMESTAMP,
+    received_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (source_store_id <> destination_store_id)
+);
+
+CREATE TABLE store_transfer_item (
+    id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL REFERENCES store_transfer(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id),
+    quantity_requested INTEGER NOT NULL CHECK (quantity_requested > 0),
+    quantity_shipped INTEGER CHECK (quantity_shipped >= 0),
+    quantity_received INTEGER CHECK (quantity_received >= 0),
+    discrepancy_quantity INTEGER,
+    discrepancy_reason TEXT,
+    ship_movement_id INTEGER REFERENCES stock_movement(id),
+    receive_movement_id INTEGER REFERENCES stock_movement(id),
+    UNIQUE(transfer_id, product_id)
+);
+
+CREATE INDEX idx_store_transfer_source_status ON store_transfer(source_store_id, status);
+CREATE INDEX idx_store_transfer_destination_status ON store_transfer(destination_store_id, status);
+CREATE INDEX idx_store_transfer_item_transfer ON store_transfer_item(transfer_id);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS store_transfer_item;
+DROP TABLE IF EXISTS store_transfer;
+`);
+}
@@ -0,0 +1,40 @@
+/**
+ * Reorder point, reorder quantity and max stock per store_inventory row,
+ * with store/category defaults. A global default (reorder point 10) keeps the
+ * old low-stock threshold until stores configure their own.
+ */
+export async function up(client) {
+    await client.query(`
+ALTER TABLE store_inventory
+    ADD COLUMN reorder_point INTEGER CHECK (reorder_point >= 0),
+    ADD COLUMN reorder_quantity INTEGER CHECK (reorder_quantity > 0),
+    ADD COLUMN max_stock INTEGER CHECK (max_stock > 0);
+
+CREATE TABLE reorder_default (
+    id SERIAL PRIMARY KEY,
+    store_id INTEGER REFERENCES store(id),
+    category VARCHAR(50),
+    reorder_point INTEGER NOT NULL CHECK (reorder_point >= 0),
+    reorder_quantity INTEGER CHECK (reorder_quantity > 0),
+    max_stock INTEGER CHECK (max_stock > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One default per store/category combination (NULL means "any")
+CREATE UNIQUE INDEX idx_reorder_default_scope ON reorder_default(COALESCE(store_id, 0), COALESCE(category, ''));
+
+INSERT INTO reorder_default (store_id, category, reorder_point) VALUES (NULL, NULL, 10);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS reorder_default;
+
+ALTER TABLE store_inventory
+    DROP COLUMN IF EXISTS reorder_point,
+    DROP COLUMN IF EXISTS reorder_quantity,
+    DROP COLUMN IF EXISTS max_stock;
+`);
+}
@@ -0,0 +1,32 @@
+/**
+ * Stock reservations (online orders, phone holds) that set stock aside before the sale.
+ * Only ACTIVE reservations that have not passed expires_at count as reserved.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE stock_reservation (
+    id SERIAL PRIMARY KEY,
+    store_id INTEGER NOT NULL REFERENCES store(id),
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    order_reference VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE'
+        CHECK (status IN ('ACTIVE', 'FULFILLED', 'RELEASED', 'EXPIRED')),
+    expires_at TIMESTAMP NOT NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id),
+    stock_movement_id INTEGER REFERENCES stock_movement(id),
+    released_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_stock_reservation_active ON stock_reservation(store_id, product_id) WHERE status = 'ACTIVE';
+CREATE INDEX idx_stock_reservation_order ON stock_reservation(order_reference);
+CREATE INDEX idx_stock_reservation_expiry ON stock_reservation(expires_at) WHERE status = 'ACTIVE';
+`);
+}
+
+export async function down(client) {
+    await client.query('DROP TABLE IF EXISTS stock_reservation;');
+}
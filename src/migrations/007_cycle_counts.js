@@ -0,0 +1,46 @@
+/**
+ * Cycle count sessions: expected quantities are snapshotted when the count starts,
+ * counters enter what they find, and approval posts one adjustment movement per variance.
+ * Status flow: OPEN -> APPROVED (or CANCELLED while still open)
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE cycle_count (
+    id SERIAL PRIMARY KEY,
+    store_id INTEGER NOT NULL REFERENCES store(id),
+    category VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'OPEN'
+        CHECK (status IN ('OPEN', 'APPROVED', 'CANCELLED')),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id),
+    approved_by INTEGER REFERENCES users(id),
+    approved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE cycle_count_item (
+    id SERIAL PRIMARY KEY,
+    cycle_count_id INTEGER NOT NULL REFERENCES cycle_count(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id),
+    store_inventory_id INTEGER NOT NULL REFERENCES store_inventory(id),
+    expected_quantity INTEGER NOT NULL,
+    unit_value DECIMAL(10,2) NOT NULL,
+    counted_quantity INTEGER CHECK (counted_quantity >= 0),
+    counted_by INTEGER REFERENCES users(id),
+    counted_at TIMESTAMP,
+    adjustment_movement_id INTEGER REFERENCES stock_movement(id),
+    UNIQUE(cycle_count_id, product_id)
+);
+
+CREATE INDEX idx_cycle_count_store_status ON cycle_count(store_id, status);
+CREATE INDEX idx_cycle_count_item_count ON cycle_count_item(cycle_count_id);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS cycle_count_item;
+DROP TABLE IF EXISTS cycle_count;
+`);
+}
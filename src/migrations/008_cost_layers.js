@@ -0,0 +1,69 @@
+/**
+ * Inventory costing: a unit cost on every STOCK_IN, FIFO cost layers and a running
+ * weighted-average cost per store_inventory row, and the cost of every movement.
+ * Each store values stock and COGS by FIFO (default) or AVERAGE.
+ * Existing stock becomes one opening layer at the product's latest purchase order
+ * unit cost, or an unknown (NULL) cost when it was never bought through a PO.
+ */
+export async function up(client) {
+    await client.query(`
+ALTER TABLE store
+    ADD COLUMN costing_method VARCHAR(10) NOT NULL DEFAULT 'FIFO'
+        CHECK (costing_method IN ('FIFO', 'AVERAGE'));
+
+ALTER TABLE store_inventory
+    ADD COLUMN average_cost DECIMAL(12,4);
+
+ALTER TABLE stock_movement
+    ADD COLUMN unit_cost DECIMAL(12,4),
+    ADD COLUMN total_cost DECIMAL(12,2);
+
+CREATE TABLE cost_layer (
+    id SERIAL PRIMARY KEY,
+    store_inventory_id INTEGER NOT NULL REFERENCES store_inventory(id),
+    stock_movement_id INTEGER REFERENCES stock_movement(id),
+    unit_cost DECIMAL(12,4),
+    quantity_received INTEGER NOT NULL CHECK (quantity_received > 0),
+    quantity_remaining INTEGER NOT NULL CHECK (quantity_remaining >= 0),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_cost_layer_open ON cost_layer(store_inventory_id, received_at, id) WHERE quantity_remaining > 0;
+
+INSERT INTO cost_layer (store_inventory_id, unit_cost, quantity_received, quantity_remaining, received_at)
+SELECT
+    si.id,
+    (
+        SELECT poi.unit_cost
+        FROM purchase_order_item poi
+        JOIN purchase_order po ON poi.purchase_order_id = po.id
+        WHERE poi.product_id = si.product_id AND poi.unit_cost IS NOT NULL
+        ORDER BY (po.store_id = si.store_id) DESC, po.created_at DESC
+        LIMIT 1
+    ),
+    si.quantity,
+    si.quantity,
+    COALESCE(si.created_at, CURRENT_TIMESTAMP)
+FROM store_inventory si
+WHERE si.quantity > 0;
+
+UPDATE store_inventory si
+SET average_cost = cl.unit_cost
+FROM cost_layer cl
+WHERE cl.store_inventory_id = si.id;
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS cost_layer;
+
+ALTER TABLE stock_movement
+    DROP COLUMN IF EXISTS unit_cost,
+    DROP COLUMN IF EXISTS total_cost;
+
+ALTER TABLE store_inventory DROP COLUMN IF EXISTS average_cost;
+
+ALTER TABLE store DROP COLUMN IF EXISTS costing_method;
+`);
+}
@@ -0,0 +1,38 @@
+/**
+ * Unit price and discount on every stock movement, captured when it is posted,
+ * so sales and value reports no longer depend on today's price.
+ * Older movements are backfilled at the current store/base price and flagged
+ * with price_is_estimated.
+ */
+export async function up(client) {
+    await client.query(`
+ALTER TABLE stock_movement
+    ADD COLUMN unit_price DECIMAL(10,2),
+    ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    ADD COLUMN price_is_estimated BOOLEAN NOT NULL DEFAULT false;
+
+UPDATE stock_movement sm
+SET
+    unit_price = COALESCE(
+        (SELECT si.price FROM store_inventory si WHERE si.store_id = sm.store_id AND si.product_id = sm.product_id),
+        pc.base_price
+    ),
+    price_is_estimated = true
+FROM product_catalog pc
+WHERE pc.id = sm.product_id;
+
+ALTER TABLE stock_movement
+    ALTER COLUMN unit_price SET NOT NULL,
+    ADD COLUMN net_value DECIMAL(12,2) GENERATED ALWAYS AS (quantity * unit_price - discount_amount) STORED;
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+ALTER TABLE stock_movement
+    DROP COLUMN IF EXISTS net_value,
+    DROP COLUMN IF EXISTS unit_price,
+    DROP COLUMN IF EXISTS discount_amount,
+    DROP COLUMN IF EXISTS price_is_estimated;
+`);
+}
@@ -0,0 +1,43 @@
+/**
+ * End-of-day inventory snapshots used to rebuild quantities "as of" a past date
+ * from the stock_movement ledger. A snapshot for snapshot_date holds the quantity
+ * after every movement created before the following midnight.
+ * An opening snapshot for yesterday anchors today's stock, including any stock
+ * that was loaded without movements, so later as-of queries start from it.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE inventory_snapshot (
+    id SERIAL PRIMARY KEY,
+    store_id INTEGER NOT NULL REFERENCES store(id),
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id),
+    snapshot_date DATE NOT NULL,
+    quantity INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(store_id, product_id, snapshot_date)
+);
+
+CREATE INDEX idx_inventory_snapshot_date ON inventory_snapshot(snapshot_date);
+CREATE INDEX idx_stock_movement_store_product_created ON stock_movement(store_id, product_id, created_at);
+
+INSERT INTO inventory_snapshot (store_id, product_id, snapshot_date, quantity)
+SELECT
+    si.store_id,
+    si.product_id,
+    CURRENT_DATE - 1,
+    si.quantity - COALESCE((
+        SELECT SUM(CASE WHEN sm.type = 'STOCK_IN' THEN sm.quantity ELSE -sm.quantity END)
+        FROM stock_movement sm
+        WHERE sm.store_id = si.store_id AND sm.product_id = si.product_id
+          AND sm.created_at >= CURRENT_DATE
+    ), 0)
+FROM store_inventory si;
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP INDEX IF EXISTS idx_stock_movement_store_product_created;
+DROP TABLE IF EXISTS inventory_snapshot;
+`);
+}
@@ -0,0 +1,38 @@
+/**
+ * Ledger reconciliation runs: store_inventory quantities compared with the net sum
+ * of their stock movements, with the mismatches found and any correcting movements posted.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE ledger_reconciliation (
+    id SERIAL PRIMARY KEY,
+    store_id INTEGER REFERENCES store(id),
+    corrected BOOLEAN NOT NULL DEFAULT false,
+    checked_count INTEGER NOT NULL DEFAULT 0,
+    mismatch_count INTEGER NOT NULL DEFAULT 0,
+    run_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE ledger_reconciliation_item (
+    id SERIAL PRIMARY KEY,
+    reconciliation_id INTEGER NOT NULL REFERENCES ledger_reconciliation(id) ON DELETE CASCADE,
+    store_id INTEGER NOT NULL REFERENCES store(id),
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id),
+    inventory_quantity INTEGER NOT NULL,
+    ledger_quantity INTEGER NOT NULL,
+    difference INTEGER NOT NULL,
+    difference_value DECIMAL(12,2),
+    correction_movement_id INTEGER REFERENCES stock_movement(id)
+);
+
+CREATE INDEX idx_ledger_reconciliation_item_run ON ledger_reconciliation_item(reconciliation_id);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS ledger_reconciliation_item;
+DROP TABLE IF EXISTS ledger_reconciliation;
+`);
+}
@@ -0,0 +1,38 @@
+/**
+ * Product variants: a parent product names its variant attributes (e.g. ["size", "colour"])
+ * and each variant is a product_catalog row of its own with parent_id, its attribute
+ * values, a SKU and stock. A variant's base_price follows the parent unless price_override is set.
+ */
+export async function up(client) {
+    await client.query(`
+ALTER TABLE product_catalog
+    ADD COLUMN parent_id INTEGER REFERENCES product_catalog(id),
+    ADD COLUMN variant_attributes JSONB,
+    ADD COLUMN attribute_values JSONB,
+    ADD COLUMN price_override DECIMAL(10,2) CHECK (price_override >= 0),
+    ADD CONSTRAINT product_variant_shape CHECK (
+        (parent_id IS NULL AND attribute_values IS NULL AND price_override IS NULL) OR
+        (parent_id IS NOT NULL AND attribute_values IS NOT NULL AND variant_attributes IS NULL)
+    );
+
+CREATE INDEX idx_product_catalog_parent ON product_catalog(parent_id);
+
+-- Each combination of attribute values appears once per parent
+CREATE UNIQUE INDEX idx_product_catalog_variant_values ON product_catalog(parent_id, attribute_values)
+    WHERE parent_id IS NOT NULL;
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP INDEX IF EXISTS idx_product_catalog_variant_values;
+DROP INDEX IF EXISTS idx_product_catalog_parent;
+
+ALTER TABLE product_catalog
+    DROP CONSTRAINT IF EXISTS product_variant_shape,
+    DROP COLUMN IF EXISTS price_override,
+    DROP COLUMN IF EXISTS attribute_values,
+    DROP COLUMN IF EXISTS variant_attributes,
+    DROP COLUMN IF EXISTS parent_id;
+`);
+}
@@ -0,0 +1,37 @@
+/**
+ * Units of measure: every product counts stock in a base unit, and may define
+ * alternate units (inner pack, case, pallet...) as a whole number of base units.
+ * Movements keep quantity in base units plus the unit and quantity they were entered in.
+ */
+export async function up(client) {
+    await client.query(`
+ALTER TABLE product_catalog
+    ADD COLUMN base_unit VARCHAR(20) NOT NULL DEFAULT 'each';
+
+CREATE TABLE product_unit (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id) ON DELETE CASCADE,
+    unit VARCHAR(20) NOT NULL,
+    factor INTEGER NOT NULL CHECK (factor > 1),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(product_id, unit)
+);
+
+ALTER TABLE stock_movement
+    ADD COLUMN entered_unit VARCHAR(20),
+    ADD COLUMN entered_quantity INTEGER CHECK (entered_quantity > 0);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+ALTER TABLE stock_movement
+    DROP COLUMN IF EXISTS entered_quantity,
+    DROP COLUMN IF EXISTS entered_unit;
+
+DROP TABLE IF EXISTS product_unit;
+
+ALTER TABLE product_catalog
+    DROP COLUMN IF EXISTS base_unit;
+`);
+}
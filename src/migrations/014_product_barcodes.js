@@ -0,0 +1,24 @@
+/**
+ * Barcodes per product. Codes are stored as 14-digit GTINs (shorter EAN/UPC codes
+ * zero-padded) so the same code is unique however it was printed. A barcode may
+ * name a pack unit, e.g. the case barcode of a product counted in single units.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE product_barcode (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id) ON DELETE CASCADE,
+    gtin CHAR(14) NOT NULL UNIQUE CHECK (gtin ~ '^[0-9]{14}$'),
+    unit VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_product_barcode_product ON product_barcode(product_id);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS product_barcode;
+`);
+}
@@ -0,0 +1,107 @@
+/**
+ * Managed category tree replacing the free-text product_catalog.category column.
+ * Each category stores its path of ids from the root (itself last), so descendant
+ * filters and roll-ups are a single array test. Existing category strings become root
+ * categories, merging spellings that differ only in case or surrounding spaces (the
+ * most used spelling names the category); synonyms such as "Drinks" can then be merged
+ * by deleting one category with products reassigned to the other.
+ * Reorder defaults move to category_id as well.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE category (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    slug VARCHAR(60) UNIQUE,
+    parent_id INTEGER REFERENCES category(id),
+    path INTEGER[] NOT NULL DEFAULT '{}',
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sibling names are unique regardless of case
+CREATE UNIQUE INDEX idx_category_sibling_name ON category(COALESCE(parent_id, 0), lower(name));
+CREATE INDEX idx_category_path ON category USING GIN (path);
+
+WITH spellings AS (
+    SELECT trim(category) as name, COUNT(*) as uses
+    FROM (
+        SELECT category FROM product_catalog
+        UNION ALL
+        SELECT category FROM reorder_default
+    ) as used
+    WHERE category IS NOT NULL AND trim(category) <> ''
+    GROUP BY trim(category)
+)
+INSERT INTO category (name)
+SELECT DISTINCT ON (lower(name)) name
+FROM spellings
+ORDER BY lower(name), uses DESC, name;
+
+-- Slugs from names; names that slug alike get a numeric suffix
+UPDATE category c
+SET
+    slug = s.base || CASE WHEN s.n > 1 THEN '-' || s.n ELSE '' END,
+    path = ARRAY[c.id]
+FROM (
+    SELECT id, base, row_number() OVER (PARTITION BY base ORDER BY id) as n
+    FROM (
+        SELECT id, COALESCE(NULLIF(trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')), ''), 'category') as base
+        FROM category
+    ) as slugged
+) as s
+WHERE c.id = s.id;
+
+ALTER TABLE category ALTER COLUMN slug SET NOT NULL;
+
+ALTER TABLE product_catalog ADD COLUMN category_id INTEGER REFERENCES category(id);
+
+UPDATE product_catalog pc
+SET category_id = c.id
+FROM category c
+WHERE lower(trim(pc.category)) = lower(c.name);
+
+ALTER TABLE product_catalog DROP COLUMN category;
+
+CREATE INDEX idx_product_catalog_category ON product_catalog(category_id);
+
+ALTER TABLE reorder_default ADD COLUMN category_id INTEGER REFERENCES category(id);
+
+UPDATE reorder_default rd
+SET category_id = c.id
+FROM category c
+WHERE lower(trim(rd.category)) = lower(c.name);
+
+DROP INDEX idx_reorder_default_scope;
+ALTER TABLE reorder_default DROP COLUMN category;
+CREATE UNIQUE INDEX idx_reorder_default_scope ON reorder_default(COALESCE(store_id, 0), COALESCE(category_id, 0));
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+ALTER TABLE reorder_default ADD COLUMN category VARCHAR(50);
+
+UPDATE reorder_default rd
+SET category = c.name
+FROM category c
+WHERE rd.category_id = c.id;
+
+DROP INDEX IF EXISTS idx_reorder_default_scope;
+ALTER TABLE reorder_default DROP COLUMN category_id;
+CREATE UNIQUE INDEX idx_reorder_default_scope ON reorder_default(COALESCE(store_id, 0), COALESCE(category, ''));
+
+ALTER TABLE product_catalog ADD COLUMN category VARCHAR(50);
+
+UPDATE product_catalog pc
+SET category = c.name
+FROM category c
+WHERE pc.category_id = c.id;
+
+DROP INDEX IF EXISTS idx_product_catalog_category;
+ALTER TABLE product_catalog DROP COLUMN category_id;
+
+DROP TABLE IF EXISTS category;
+`);
+}
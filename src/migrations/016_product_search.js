@@ -0,0 +1,27 @@
+/**
+ * Ranked product search: an expression index over the weighted full-text vector
+ * (name > SKU > description; the category name is weighted in at query time) and a
+ * trigram index on product names for typo-tolerant matching. Requires pg_trgm.
+ * The indexed expression must stay identical to PRODUCT_SEARCH_VECTOR in
+ * ProductCatalogController for the planner to use it.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX idx_product_catalog_search ON product_catalog USING GIN ((
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(sku, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'D')
+));
+
+CREATE INDEX idx_product_catalog_name_trgm ON product_catalog USING GIN (name gin_trgm_ops);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP INDEX IF EXISTS idx_product_catalog_name_trgm;
+DROP INDEX IF EXISTS idx_product_catalog_search;
+`);
+}
@@ -0,0 +1,24 @@
+/**
+ * Indexes matching the (created_at, id) keyset order of the movement ledger listings,
+ * so each cursor page is an index range scan for all movements, one store or one product.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE INDEX idx_stock_movement_keyset ON stock_movement(created_at, id);
+CREATE INDEX idx_stock_movement_store_keyset ON stock_movement(store_id, created_at, id);
+CREATE INDEX idx_stock_movement_product_keyset ON stock_movement(product_id, created_at, id);
+
+-- Superseded by idx_stock_movement_keyset
+DROP INDEX IF EXISTS idx_stock_movement_date;
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+CREATE INDEX IF NOT EXISTS idx_stock_movement_date ON stock_movement(created_at);
+
+DROP INDEX IF EXISTS idx_stock_movement_product_keyset;
+DROP INDEX IF EXISTS idx_stock_movement_store_keyset;
+DROP INDEX IF EXISTS idx_stock_movement_keyset;
+`);
+}
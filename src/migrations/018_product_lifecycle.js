@@ -0,0 +1,33 @@
+/**
+ * Product lifecycle replacing hard deletes.
+ * Status flow: DRAFT -> ACTIVE -> DISCONTINUED -> ARCHIVED (discontinued products can be
+ * reactivated and archived ones restored). Discontinued products take no new stock but still
+ * sell; archived products are hidden from listings but stay referenced by their history.
+ * Existing products become ACTIVE.
+ */
+export async function up(client) {
+    await client.query(`
+ALTER TABLE product_catalog
+    ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE'
+        CHECK (status IN ('DRAFT', 'ACTIVE', 'DISCONTINUED', 'ARCHIVED')),
+    ADD COLUMN activated_at TIMESTAMP,
+    ADD COLUMN discontinued_at TIMESTAMP,
+    ADD COLUMN archived_at TIMESTAMP;
+
+UPDATE product_catalog SET activated_at = created_at;
+
+CREATE INDEX idx_product_catalog_status ON product_catalog(status);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP INDEX IF EXISTS idx_product_catalog_status;
+
+ALTER TABLE product_catalog
+    DROP COLUMN IF EXISTS archived_at,
+    DROP COLUMN IF EXISTS discontinued_at,
+    DROP COLUMN IF EXISTS activated_at,
+    DROP COLUMN IF EXISTS status;
+`);
+}
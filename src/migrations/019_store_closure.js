@@ -0,0 +1,53 @@
+/**
+ * Store closure: a store with a closing date on or before today is closed, takes no new
+ * stock movements and is left out of store listings, while its history stays reportable.
+ * Store merges move a closing store's remaining stock and users to a target store and
+ * record what moved.
+ */
+export async function up(client) {
+    await client.query(`
+ALTER TABLE store
+    ADD COLUMN closing_date DATE,
+    ADD COLUMN merged_into_store_id INTEGER REFERENCES store(id);
+
+CREATE TABLE store_merge (
+    id SERIAL PRIMARY KEY,
+    source_store_id INTEGER NOT NULL REFERENCES store(id),
+    target_store_id INTEGER NOT NULL REFERENCES store(id),
+    closing_date DATE NOT NULL,
+    product_count INTEGER NOT NULL DEFAULT 0,
+    total_quantity INTEGER NOT NULL DEFAULT 0,
+    user_count INTEGER NOT NULL DEFAULT 0,
+    merged_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE store_merge_item (
+    id SERIAL PRIMARY KEY,
+    merge_id INTEGER NOT NULL REFERENCES store_merge(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES product_catalog(id),
+    quantity INTEGER NOT NULL,
+    movement_id INTEGER REFERENCES stock_movement(id)
+);
+
+CREATE TABLE store_merge_user (
+    merge_id INTEGER NOT NULL REFERENCES store_merge(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (merge_id, user_id)
+);
+
+CREATE INDEX idx_store_merge_item_merge ON store_merge_item(merge_id);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS store_merge_user;
+DROP TABLE IF EXISTS store_merge_item;
+DROP TABLE IF EXISTS store_merge;
+
+ALTER TABLE store
+    DROP COLUMN IF EXISTS merged_into_store_id,
+    DROP COLUMN IF EXISTS closing_date;
+`);
+}
@@ -0,0 +1,52 @@
+/**
+ * Append-only audit log: one row per entity changed by a write endpoint, with the actor
+ * (user, role, store), request (IP, method, route) and before/after snapshots of the entity.
+ * Users are kept by id and name without a foreign key so entries outlive the account.
+ * A trigger refuses updates, deletes and truncation.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER,
+    user_name VARCHAR(100),
+    user_role VARCHAR(20),
+    store_id INTEGER,
+    ip_address VARCHAR(45),
+    method VARCHAR(10) NOT NULL,
+    route VARCHAR(255) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(100),
+    before JSONB,
+    after JSONB,
+    changes JSONB
+);
+
+CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id, id);
+CREATE INDEX idx_audit_log_user ON audit_log(user_id, id);
+CREATE INDEX idx_audit_log_occurred ON audit_log(occurred_at);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_change
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
+`);
+}
@@ -0,0 +1,31 @@
+/**
+ * Store memberships: a user can work at several stores, with a role per store
+ * ('manager' or 'user'). Admins need no memberships; they can access every store.
+ * users.store_id stays as the user's primary store (the default for store lookups).
+ * Existing users become members of their current store with their current role.
+ */
+export async function up(client) {
+    await client.query(`
+CREATE TABLE store_membership (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    store_id INTEGER NOT NULL REFERENCES store(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('manager', 'user')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, store_id)
+);
+
+CREATE INDEX idx_store_membership_store ON store_membership(store_id);
+
+INSERT INTO store_membership (user_id, store_id, role)
+SELECT id, store_id, CASE WHEN role = 'manager' THEN 'manager' ELSE 'user' END
+FROM users
+WHERE store_id IS NOT NULL AND role != 'admin';
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+DROP TABLE IF EXISTS store_membership;
+`);
+}
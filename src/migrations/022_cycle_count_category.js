@@ -0,0 +1,39 @@
+/**
+ * Cycle counts reference their category by id instead of keeping its name as free
+ * text, like products and reorder defaults since the category tree. Existing counts
+ * are matched to a category by name (a root category first when names repeat);
+ * names that match no category leave the count without one.
+ */
+export async function up(client) {
+    await client.query(`
+ALTER TABLE cycle_count ADD COLUMN category_id INTEGER REFERENCES category(id);
+
+UPDATE cycle_count cc
+SET category_id = (
+    SELECT c.id
+    FROM category c
+    WHERE lower(c.name) = lower(trim(cc.category))
+    ORDER BY cardinality(c.path), c.id
+    LIMIT 1
+)
+WHERE cc.category IS NOT NULL;
+
+ALTER TABLE cycle_count DROP COLUMN category;
+
+CREATE INDEX idx_cycle_count_category ON cycle_count(category_id);
+`);
+}
+
+export async function down(client) {
+    await client.query(`
+ALTER TABLE cycle_count ADD COLUMN category VARCHAR(100);
+
+UPDATE cycle_count cc
+SET category = c.name
+FROM category c
+WHERE cc.category_id = c.id;
+
+DROP INDEX IF EXISTS idx_cycle_count_category;
+ALTER TABLE cycle_count DROP COLUMN category_id;
+`);
+}
@@ -1,19 +1,34 @@
 import express from 'express';
-import { ProductCatalogController } from '../controllers/ProductCatalogController.js';
-import { authorize } from '../middleware/auth.js';
+import { InventoryController } from '../controllers/InventoryController.js';
+import { authorize, enforceStoreAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Read operations - available to all authenticated users
+// Cross-store reports - restricted to admin and manager roles
 // (authenticate middleware is already applied in app.js)
-router.get('/', ProductCatalogController.getAllProducts);
-router.get('/:id', ProductCatalogController.getProductById);
-router.get('/category/:category', ProductCatalogController.getProductsByCategory);
-router.get('/search/:query', ProductCatalogController.searchProducts);
+router.get('/reports/inventory', authorize(['admin', 'manager']), InventoryController.getInventoryReport);
+router.get('/reports/movements', authorize(['admin', 'manager']), InventoryController.getMovementReport);
+router.get('/reports/replenishment', authorize(['admin', 'manager'], { perStore: true }), enforceStoreAccess(), InventoryController.getReplenishment);
 
-// Write operations - restricted to admin and manager roles
-router.post('/', authorize(['admin', 'manager']), ProductCatalogController.createProduct);
-router.put('/:id', authorize(['admin', 'manager']), ProductCatalogController.updateProduct);
-router.delete('/:id', authorize(['admin']), ProductCatalogController.deleteProduct);
+// Reorder defaults per store and/or category - admin and manager roles
+// (managers may only change their own store's defaults)
+router.get('/reorder-defaults', authorize(['admin', 'manager']), InventoryController.getReorderDefaults);
+router.put('/reorder-defaults', authorize(['admin', 'manager'], { perStore: true }), enforceStoreAccess(), InventoryController.setReorderDefault);
+router.delete('/reorder-defaults/:defaultId', authorize(['admin', 'manager'], { perStore: true }), InventoryController.deleteReorderDefault);
 
-export const productCatalogRoutes = router;
\ No newline at end of file
+// Cross-store product views - restricted to admin and manager roles
+router.get('/product/:productId', authorize(['admin', 'manager']), InventoryController.getProductInventory);
+router.get('/product/:productId/movements', authorize(['admin', 'manager']), InventoryController.getProductMovements);
+
+// Movement ledger - staff post movements for their own store only
+router.get('/movements', authorize(['admin', 'manager']), InventoryController.getStockMovements);
+router.post('/movements', authorize(['admin', 'manager', 'user'], { perStore: true }), enforceStoreAccess(), InventoryController.createStockMovement);
+
+// Store-scoped operations - enforce store access
+router.get('/store/:storeId', authorize(['admin', 'manager', 'user'], { perStore: true }), enforceStoreAccess(), InventoryController.getStoreInventory);
+router.get('/store/:storeId/expiring', authorize(['admin', 'manager', 'user'], { perStore: true }), enforceStoreAccess(), InventoryController.getExpiringStock);
+router.get('/store/:storeId/replenishment', authorize(['admin', 'manager'], { perStore: true }), enforceStoreAccess(), InventoryController.getReplenishment);
+router.get('/store/:storeId/movements', authorize(['admin', 'manager', 'user'], { perStore: true }), enforceStoreAccess(), InventoryController.getStoreMovements);
+router.put('/store/:storeId/items/:inventoryId', authorize(['admin', 'manager'], { perStore: true }), enforceStoreAccess(), InventoryController.updateInventory);
+
+export const inventoryRoutes = router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { ProductCatalogController } from '../controllers/ProductCatalogController.js';
-import { authorize } from '../middleware/auth.js';
+import { authorize, enforceStoreAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -9,11 +9,18 @@ const router = express.Router();
 router.get('/', ProductCatalogController.getAllProducts);
 router.get('/:id', ProductCatalogController.getProductById);
 router.get('/category/:category', ProductCatalogController.getProductsByCategory);
-router.get('/search/:query', ProductCatalogController.searchProducts);
+router.get('/search/:query', enforceStoreAccess(), ProductCatalogController.searchProducts);
+router.get('/barcode/:code', enforceStoreAccess(), ProductCatalogController.lookupBarcode);
 
 // Write operations - restricted to admin and manager roles
 router.post('/', authorize(['admin', 'manager']), ProductCatalogController.createProduct);
+router.post('/import', authorize(['admin', 'manager']), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), ProductCatalogController.importProducts);
+router.post('/:id/variants', authorize(['admin', 'manager']), ProductCatalogController.createVariant);
 router.put('/:id', authorize(['admin', 'manager']), ProductCatalogController.updateProduct);
+router.put('/:id/units', authorize(['admin', 'manager']), ProductCatalogController.setProductUnits);
+router.put('/:id/status', authorize(['admin', 'manager']), ProductCatalogController.updateProductStatus);
+router.post('/:id/barcodes', authorize(['admin', 'manager']), ProductCatalogController.addBarcode);
+router.delete('/:id/barcodes/:barcode', authorize(['admin', 'manager']), ProductCatalogController.removeBarcode);
 router.delete('/:id', authorize(['admin']), ProductCatalogController.deleteProduct);
 
 export const productCatalogRoutes = router;
\ No newline at end of file
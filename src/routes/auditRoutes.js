@@ -0,0 +1,11 @@
+import express from 'express';
+import { AuditController } from '../controllers/AuditController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Audit log search - admin only
+// (authenticate middleware is already applied in app.js)
+router.get('/', authorize(['admin']), AuditController.getAuditLog);
+
+export const auditRoutes = router;
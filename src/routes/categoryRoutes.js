@@ -0,0 +1,17 @@
+import express from 'express';
+import { CategoryController } from '../controllers/CategoryController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Read operations - available to all authenticated users
+// (authenticate middleware is already applied in app.js)
+router.get('/', CategoryController.getAllCategories);
+router.get('/:id', CategoryController.getCategoryById);
+
+// Write operations - restricted to admin and manager roles
+router.post('/', authorize(['admin', 'manager']), CategoryController.createCategory);
+router.put('/:id', authorize(['admin', 'manager']), CategoryController.updateCategory);
+router.delete('/:id', authorize(['admin']), CategoryController.deleteCategory);
+
+export const categoryRoutes = router;
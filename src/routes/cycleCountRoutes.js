@@ -0,0 +1,22 @@
+import express from 'express';
+import { CycleCountController } from '../controllers/CycleCountController.js';
+import { authorize, enforceStoreAccess } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Read operations - store users only see their own store's counts
+// (authenticate middleware is already applied in app.js)
+router.get('/', CycleCountController.getAllCycleCounts);
+router.get('/:id', CycleCountController.getCycleCountById);
+router.get('/:id/variance', CycleCountController.getVarianceReport);
+
+// Entering counts - store staff included
+// (store access for existing counts is checked in the controller, as :id is the count ID)
+router.put('/:id/counts', authorize(['admin', 'manager', 'user'], { perStore: true }), CycleCountController.recordCounts);
+
+// Starting, approving and cancelling counts - restricted to admin and manager roles
+router.post('/', authorize(['admin', 'manager'], { perStore: true }), enforceStoreAccess(), CycleCountController.createCycleCount);
+router.post('/:id/approve', authorize(['admin', 'manager'], { perStore: true }), CycleCountController.approveCycleCount);
+router.post('/:id/cancel', authorize(['admin', 'manager'], { perStore: true }), CycleCountController.cancelCycleCount);
+
+export const cycleCountRoutes = router;
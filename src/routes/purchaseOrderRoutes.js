@@ -0,0 +1,23 @@
+import express from 'express';
+import { PurchaseOrderController } from '../controllers/PurchaseOrderController.js';
+import { authorize, enforceStoreAccess } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Read operations - store users only see their own store's orders
+// (authenticate middleware is already applied in app.js)
+router.get('/', PurchaseOrderController.getAllPurchaseOrders);
+router.get('/:id', PurchaseOrderController.getPurchaseOrderById);
+
+// Ordering - restricted to admin and manager roles
+// (store access for existing orders is checked in the controller, as :id is the order ID)
+router.post('/', authorize(['admin', 'manager'], { perStore: true }), enforceStoreAccess(), PurchaseOrderController.createPurchaseOrder);
+router.put('/:id', authorize(['admin', 'manager'], { perStore: true }), PurchaseOrderController.updatePurchaseOrder);
+router.post('/:id/submit', authorize(['admin', 'manager'], { perStore: true }), PurchaseOrderController.submitPurchaseOrder);
+router.post('/:id/close', authorize(['admin', 'manager'], { perStore: true }), PurchaseOrderController.closePurchaseOrder);
+router.post('/:id/cancel', authorize(['admin', 'manager'], { perStore: true }), PurchaseOrderController.cancelPurchaseOrder);
+
+// Receiving deliveries - store staff included
+router.post('/:id/receive', authorize(['admin', 'manager', 'user'], { perStore: true }), PurchaseOrderController.receivePurchaseOrder);
+
+export const purchaseOrderRoutes = router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { ReconciliationController } from '../controllers/ReconciliationController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Ledger reconciliation - admin only
+// (authenticate middleware is already applied in app.js)
+router.get('/', authorize(['admin']), ReconciliationController.getAllReconciliations);
+router.get('/:id', authorize(['admin']), ReconciliationController.getReconciliationById);
+router.post('/', authorize(['admin']), ReconciliationController.runReconciliation);
+
+export const reconciliationRoutes = router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { ReservationController } from '../controllers/ReservationController.js';
+import { authorize, enforceStoreAccess } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Reservations are store operations - available to all store roles
+// (authenticate middleware is already applied in app.js; store access for
+// existing reservations is checked in the controller, as :id is the reservation ID)
+router.get('/', ReservationController.getAllReservations);
+router.get('/:id', ReservationController.getReservationById);
+router.post('/', authorize(['admin', 'manager', 'user'], { perStore: true }), enforceStoreAccess(), ReservationController.createReservation);
+router.post('/:id/release', authorize(['admin', 'manager', 'user'], { perStore: true }), ReservationController.releaseReservation);
+router.post('/:id/fulfill', authorize(['admin', 'manager', 'user'], { perStore: true }), ReservationController.fulfillReservation);
+
+export const reservationRoutes = router;
@@ -1,19 +1,30 @@
 import express from 'express';
-import { StoreController } from '../controllers/storeController.js';
+import { StoreController } from '../controllers/StoreController.js';
 import { authenticate, authorize, enforceStoreAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All stores listing - available to all authenticated users
-// (Admin sees all, store users will see filtered results in controller)
+// (Admin sees all, other users see the stores they are members of)
 router.get('/', StoreController.getAllStores);
 
 // Single store operations - enforce store access
 router.get('/:id', enforceStoreAccess(), StoreController.getStoreById);
-router.put('/:id', authorize(['admin', 'manager']), enforceStoreAccess(), StoreController.updateStore);
+router.put('/:id', authorize(['admin', 'manager'], { perStore: true }), enforceStoreAccess(), StoreController.updateStore);
 router.delete('/:id', authorize(['admin']), StoreController.deleteStore);
 router.get('/:id/metrics', enforceStoreAccess(), StoreController.getStoreMetrics);
 
+// Store closure and merges - admin only
+router.post('/:id/deactivate', authorize(['admin']), StoreController.deactivateStore);
+router.post('/:id/reactivate', authorize(['admin']), StoreController.reactivateStore);
+router.post('/:id/merge', authorize(['admin']), StoreController.mergeStore);
+router.get('/:id/merge', enforceStoreAccess(), StoreController.getStoreMerge);
+
+// Store memberships - store managers can see their members, only admins change them
+router.get('/:id/members', authorize(['admin', 'manager'], { perStore: true }), enforceStoreAccess(), StoreController.getStoreMembers);
+router.put('/:id/members/:userId', authorize(['admin']), StoreController.setStoreMember);
+router.delete('/:id/members/:userId', authorize(['admin']), StoreController.removeStoreMember);
+
 // Store creation - typically admin only
 router.post('/', authorize(['admin']), StoreController.createStore);
 
@@ -0,0 +1,17 @@
+import express from 'express';
+import { SupplierController } from '../controllers/SupplierController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Read operations - available to all authenticated users
+// (authenticate middleware is already applied in app.js)
+router.get('/', SupplierController.getAllSuppliers);
+router.get('/:id', SupplierController.getSupplierById);
+
+// Write operations - restricted to admin and manager roles
+router.post('/', authorize(['admin', 'manager']), SupplierController.createSupplier);
+router.put('/:id', authorize(['admin', 'manager']), SupplierController.updateSupplier);
+router.delete('/:id', authorize(['admin']), SupplierController.deleteSupplier);
+
+export const supplierRoutes = router;
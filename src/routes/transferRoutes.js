@@ -0,0 +1,21 @@
+import express from 'express';
+import { TransferController } from '../controllers/TransferController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Read operations - store users only see transfers for their own store
+// (authenticate middleware is already applied in app.js)
+router.get('/', TransferController.getAllTransfers);
+router.get('/:id', TransferController.getTransferById);
+
+// Source store operations - restricted to admin and manager roles
+// (store access is checked in the controller against the transfer's stores)
+router.post('/', authorize(['admin', 'manager'], { perStore: true }), TransferController.createTransfer);
+router.post('/:id/ship', authorize(['admin', 'manager'], { perStore: true }), TransferController.shipTransfer);
+router.post('/:id/cancel', authorize(['admin', 'manager'], { perStore: true }), TransferController.cancelTransfer);
+
+// Destination store receiving - store staff included
+router.post('/:id/receive', authorize(['admin', 'manager', 'user'], { perStore: true }), TransferController.receiveTransfer);
+
+export const transferRoutes = router;
@@ -0,0 +1,119 @@
+/**
+ * Audit trail of writes. Controllers record each entity they change with the
+ * database client of the write, so the entry commits or rolls back with it.
+ */
+
+// Never copied into audit snapshots (columns and request body fields)
+const REDACTED_FIELDS = ['password', 'refresh_token', 'currentPassword', 'newPassword', 'refreshToken'];
+
+// Left out of change lists; they change on every write
+const UNTRACKED_FIELDS = ['updated_at'];
+
+export const AuditService = {
+    /**
+     * Record an audited change made while handling req. before and after are the entity's
+     * rows (or any plain objects) around the change; either is null for creates and deletes.
+     * The actor defaults to the authenticated user (req.user).
+     */
+    async record(client, req, { action, entityType, entityId = null, before = null, after = null, actor = req.user }) {
+        const context = this.context(req, actor);
+        const beforeSnapshot = snapshot(before);
+        const afterSnapshot = snapshot(after);
+
+        await client.query(
+            `INSERT INTO audit_log
+       (user_id, user_name, user_role, store_id, ip_address, method, route,
+        action, entity_type, entity_id, before, after, changes)
+       VALUES ($1, COALESCE($2, (SELECT name FROM users WHERE id = $1)), $3, $4, $5, $6, $7,
+               $8, $9, $10, $11::jsonb, $12::jsonb, $13::jsonb)`,
+            [
+                context.userId,
+                context.userName,
+                context.role,
+                context.storeId,
+                context.ip,
+                context.method,
+                context.route,
+                action,
+                entityType,
+                entityId === null ? null : String(entityId),
+                toJson(beforeSnapshot),
+                toJson(afterSnapshot),
+                toJson(diffSnapshots(beforeSnapshot, afterSnapshot))
+            ]
+        );
+
+        req.auditRecorded = true;
+    },
+
+    /**
+     * Who made the request and where from. The route is the matched route pattern
+     * (e.g. /api/catalog/:id) so entries for the same endpoint group together.
+     */
+    context(req, actor = req.user) {
+        return {
+            userId: actor?.userId ?? null,
+            userName: actor?.name ?? null,
+            role: actor?.role ?? null,
+            storeId: actor?.storeId ?? null,
+            ip: req.ip ?? null,
+            method: req.method,
+            route: req.route
+                ? `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`
+                : req.originalUrl.split('?')[0]
+        };
+    }
+};
+
+/**
+ * Copy a row as plain JSON values, without redacted fields
+ */
+function snapshot(row) {
+    if (row === null || row === undefined) {
+        return null;
+    }
+
+    const copy = JSON.parse(JSON.stringify(row));
+
+    if (copy && typeof copy === 'object' && !Array.isArray(copy)) {
+        REDACTED_FIELDS.forEach(field => delete copy[field]);
+    }
+
+    return copy;
+}
+
+/**
+ * Fields whose value differs between two snapshots, as { field: { before, after } }.
+ * Null unless both snapshots are objects.
+ */
+function diffSnapshots(before, after) {
+    if (!isRecord(before) || !isRecord(after)) {
+        return null;
+    }
+
+    const changes = {};
+
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (UNTRACKED_FIELDS.includes(field)) {
+            continue;
+        }
+
+        const previous = before[field] ?? null;
+        const current = after[field] ?? null;
+
+        if (JSON.stringify(previous) !== JSON.stringify(current)) {
+            changes[field] = { before: previous, after: current };
+        }
+    }
+
+    return changes;
+}
+
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// pg sends JS arrays as Postgres arrays, so JSONB parameters are passed as text
+function toJson(value) {
+    return value === null ? null : JSON.stringify(value);
+}
@@ -0,0 +1,48 @@
+import { HttpError } from '../utils/HttpError.js';
+import { normalizeGtin } from '../utils/gtin.js';
+
+/**
+ * Barcode (GTIN) lookups shared by the catalog and the scanning flows.
+ * Methods take a db or transaction client.
+ */
+export const BarcodeService = {
+    /**
+     * Resolve a scanned code to { gtin, unit, product }; unit is set for pack barcodes.
+     * Throws HttpError(400) for codes that fail GTIN validation and 404 for unknown codes.
+     */
+    async findByCode(client, code) {
+        const gtin = normalizeGtin(code);
+
+        if (!gtin) {
+            throw new HttpError(400, 'Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14 code');
+        }
+
+        const result = await client.query(
+            `SELECT 
+         pb.unit as barcode_unit,
+         pc.*
+       FROM product_barcode pb
+       JOIN product_catalog pc ON pb.product_id = pc.id
+       WHERE pb.gtin = $1`,
+            [gtin]
+        );
+
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'No product has this barcode', { gtin });
+        }
+
+        const { barcode_unit, ...product } = result.rows[0];
+        return { gtin, unit: barcode_unit, product };
+    },
+
+    /**
+     * List a product's barcodes, oldest first
+     */
+    async listForProduct(client, productId) {
+        const result = await client.query(
+            'SELECT gtin, unit, created_at FROM product_barcode WHERE product_id = $1 ORDER BY id',
+            [productId]
+        );
+        return result.rows;
+    }
+};
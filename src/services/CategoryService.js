@@ -0,0 +1,66 @@
+import { HttpError } from '../utils/HttpError.js';
+
+/**
+ * Category tree lookups shared by the catalog, inventory reports and cycle counts.
+ * Every category stores `path`, the ids from its root down to itself, so
+ * "a category and its descendants" is the set of categories whose path contains it.
+ */
+export const CategoryService = {
+    /**
+     * Find a category by id, slug or name (case-insensitive).
+     * Throws HttpError(404) when none matches and 400 when a name is ambiguous.
+     */
+    async resolve(client, value) {
+        const text = String(value).trim();
+
+        const result = /^\d+$/.test(text)
+            ? await client.query('SELECT * FROM category WHERE id = $1', [parseInt(text)])
+            : await client.query(
+                'SELECT * FROM category WHERE slug = $1 OR lower(name) = lower($1) ORDER BY (slug = $1) DESC',
+                [text]
+            );
+
+        if (result.rows.length === 0) {
+            throw new HttpError(404, `Category ${text} not found`);
+        }
+
+        // A slug match is exact; the same name may appear under different parents
+        if (result.rows.length > 1 && result.rows[0].slug !== text) {
+            throw new HttpError(400, `Category name ${text} is ambiguous; use its slug or ID`, {
+                matches: result.rows.map(({ id, name, slug }) => ({ id, name, slug }))
+            });
+        }
+
+        return result.rows[0];
+    },
+
+    /**
+     * SQL condition: the category id in `categoryColumn` is the category in the
+     * given SQL parameter or one of its descendants
+     */
+    subtreeCondition(categoryColumn, param) {
+        return `${categoryColumn} IN (SELECT id FROM category WHERE path @> ARRAY[${param}::int])`;
+    },
+
+    /**
+     * Load every category keyed by id (the tree is small enough to hold in memory)
+     */
+    async loadAll(client) {
+        const result = await client.query('SELECT * FROM category ORDER BY sort_order, name');
+        return new Map(result.rows.map(category => [category.id, category]));
+    },
+
+    /**
+     * Breadcrumb for a path of category ids, e.g. "Beverages > Soft drinks"
+     */
+    pathName(categories, path) {
+        return path.map(id => categories.get(id)?.name).join(' > ');
+    },
+
+    /**
+     * Turn a name into a URL slug ("Soft Drinks & Juice" -> "soft-drinks-juice")
+     */
+    slugify(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+    }
+};
@@ -0,0 +1,213 @@
+import { HttpError } from '../utils/HttpError.js';
+
+// Signed effect of a stock movement (sm) on its store's quantity
+const SIGNED_QUANTITY_SQL = `CASE WHEN sm.type = 'STOCK_IN' THEN sm.quantity ELSE -sm.quantity END`;
+
+/**
+ * Point-in-time inventory rebuilt from the stock_movement ledger, starting from
+ * the latest end-of-day snapshot before the cutoff, and reconciliation of the
+ * ledger against store_inventory.
+ * A cutoff is exclusive: movements created before it are included.
+ */
+export const InventoryHistoryService = {
+    /**
+     * Turn an asOf query value into a cutoff timestamp string.
+     * A plain date means the end of that day; anything else is used as given.
+     * Throws HttpError(400) when the value is not a valid date.
+     */
+    parseAsOf(asOf) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+            const nextDay = new Date(`${asOf}T00:00:00Z`);
+            if (!isNaN(nextDay.getTime())) {
+                nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+                return nextDay.toISOString().split('T')[0];
+            }
+        } else if (!isNaN(Date.parse(asOf))) {
+            return asOf;
+        }
+
+        throw new HttpError(400, 'asOf must be a valid date or timestamp');
+    },
+
+    /**
+     * Lateral joins adding hist.quantity and hist.price for an inventory row (si) as of
+     * the cutoff in the given SQL parameter. The price is the unit price of the last
+     * movement before the cutoff (null when there was none).
+     */
+    asOfJoin(cutoffParam) {
+        return `
+        LEFT JOIN LATERAL (
+          SELECT snap.snapshot_date, snap.quantity
+          FROM inventory_snapshot snap
+          WHERE snap.store_id = si.store_id AND snap.product_id = si.product_id
+            AND snap.snapshot_date + 1 <= ${cutoffParam}
+          ORDER BY snap.snapshot_date DESC
+          LIMIT 1
+        ) snap ON true
+        LEFT JOIN LATERAL (
+          SELECT 
+            (COALESCE(snap.quantity, 0) + COALESCE(SUM(${SIGNED_QUANTITY_SQL}), 0))::int as quantity,
+            (
+              SELECT last.unit_price
+              FROM stock_movement last
+              WHERE last.store_id = si.store_id AND last.product_id = si.product_id
+                AND last.created_at < ${cutoffParam}
+              ORDER BY last.created_at DESC, last.id DESC
+              LIMIT 1
+            ) as price
+          FROM stock_movement sm
+          WHERE sm.store_id = si.store_id AND sm.product_id = si.product_id
+            AND (snap.snapshot_date IS NULL OR sm.created_at >= snap.snapshot_date + 1)
+            AND sm.created_at < ${cutoffParam}
+        ) hist ON true
+`;
+    },
+
+    /**
+     * Set cost_value on rows ({ inventory_id, quantity }) as of the cutoff: the FIFO
+     * value of the cost layers still on hand then. Stock leaves the layers oldest
+     * first, so the units gone by the cutoff are the oldest units received before it.
+     */
+    async applyCostValuesAsOf(client, rows, cutoff) {
+        if (rows.length === 0) return rows;
+
+        const layers = await client.query(
+            `SELECT store_inventory_id, unit_cost, quantity_received
+       FROM cost_layer
+       WHERE store_inventory_id = ANY($1::int[]) AND received_at < $2
+       ORDER BY store_inventory_id, received_at, id`,
+            [rows.map(row => row.inventory_id), cutoff]
+        );
+
+        const layersByInventory = new Map();
+        for (const layer of layers.rows) {
+            if (!layersByInventory.has(layer.store_inventory_id)) {
+                layersByInventory.set(layer.store_inventory_id, []);
+            }
+            layersByInventory.get(layer.store_inventory_id).push(layer);
+        }
+
+        for (const row of rows) {
+            const inventoryLayers = layersByInventory.get(row.inventory_id) || [];
+            let gone = inventoryLayers.reduce((sum, layer) => sum + layer.quantity_received, 0) - row.quantity;
+            let value = 0;
+
+            for (const layer of inventoryLayers) {
+                const used = Math.min(Math.max(gone, 0), layer.quantity_received);
+                gone -= used;
+
+                if (layer.unit_cost !== null) {
+                    value += (layer.quantity_received - used) * parseFloat(layer.unit_cost);
+                }
+            }
+
+            row.cost_value = parseFloat(value.toFixed(2));
+        }
+
+        return rows;
+    },
+
+    /**
+     * Record the end-of-day quantity of every inventory row for snapshotDate
+     * (rebuilt from the previous snapshot and the ledger). Existing snapshots are kept.
+     * Returns the number of snapshot rows written.
+     */
+    async takeSnapshot(client, snapshotDate) {
+        const result = await client.query(
+            `INSERT INTO inventory_snapshot (store_id, product_id, snapshot_date, quantity)
+       SELECT si.store_id, si.product_id, $1::date, hist.quantity
+       FROM store_inventory si
+       ${this.asOfJoin('($1::date + 1)')}
+       WHERE si.created_at < $1::date + 1
+       ON CONFLICT (store_id, product_id, snapshot_date) DO NOTHING`,
+            [snapshotDate]
+        );
+
+        return result.rowCount;
+    },
+
+    /**
+     * Compare every inventory row (optionally of one store) with the net sum of its
+     * movements and record the mismatches as a reconciliation run.
+     * With correct, each mismatch gets a ledger-only STOCK_IN/REMOVAL movement for the
+     * difference (store_inventory, lots and cost layers are left as they are), so the
+     * ledger adds up to the stored quantity again. Rows are locked while correcting.
+     * Returns the run with its mismatches.
+     */
+    async reconcileLedger(client, { storeId = null, correct = false, userId = null } = {}) {
+        const inventory = await client.query(
+            `SELECT 
+          si.id as inventory_id,
+          si.store_id,
+          si.product_id,
+          si.quantity as inventory_quantity,
+          COALESCE(si.price, pc.base_price) as unit_price,
+          COALESCE((
+            SELECT SUM(${SIGNED_QUANTITY_SQL})
+            FROM stock_movement sm
+            WHERE sm.store_id = si.store_id AND sm.product_id = si.product_id
+          ), 0)::int as ledger_quantity
+        FROM store_inventory si
+        JOIN product_catalog pc ON si.product_id = pc.id
+        WHERE ($1::int IS NULL OR si.store_id = $1)
+        ORDER BY si.store_id, si.product_id
+        ${correct ? 'FOR UPDATE OF si' : ''}`,
+            [storeId]
+        );
+
+        const mismatches = inventory.rows.filter(row => row.inventory_quantity !== row.ledger_quantity);
+
+        const runResult = await client.query(
+            `INSERT INTO ledger_reconciliation (store_id, corrected, checked_count, mismatch_count, run_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+            [storeId, correct, inventory.rows.length, mismatches.length, userId]
+        );
+        const run = runResult.rows[0];
+
+        const items = [];
+        for (const row of mismatches) {
+            const difference = row.inventory_quantity - row.ledger_quantity;
+
+            let correctionMovementId = null;
+            if (correct) {
+                const movement = await client.query(
+                    `INSERT INTO stock_movement
+           (store_id, product_id, quantity, type, reference_id, notes, unit_price)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+                    [
+                        row.store_id,
+                        row.product_id,
+                        Math.abs(difference),
+                        difference > 0 ? 'STOCK_IN' : 'REMOVAL',
+                        `RECON-${run.id}`,
+                        `Ledger correction: inventory ${row.inventory_quantity}, ledger ${row.ledger_quantity}`,
+                        row.unit_price
+                    ]
+                );
+                correctionMovementId = movement.rows[0].id;
+            }
+
+            const item = await client.query(
+                `INSERT INTO ledger_reconciliation_item
+         (reconciliation_id, store_id, product_id, inventory_quantity, ledger_quantity, difference, difference_value, correction_movement_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+                [
+                    run.id,
+                    row.store_id,
+                    row.product_id,
+                    row.inventory_quantity,
+                    row.ledger_quantity,
+                    difference,
+                    (difference * parseFloat(row.unit_price)).toFixed(2),
+                    correctionMovementId
+                ]
+            );
+            items.push(item.rows[0]);
+        }
+
+        return { ...run, mismatches: items };
+    }
+};
@@ -0,0 +1,714 @@
+import { HttpError } from '../utils/HttpError.js';
+
+/**
+ * SQL expression for the cost value of an inventory row (si) in a store (s):
+ * the remaining FIFO cost layers, or quantity at the average cost for AVERAGE stores.
+ * Layers of unknown cost add nothing.
+ */
+export const INVENTORY_COST_VALUE_SQL = `
+          CASE WHEN s.costing_method = 'AVERAGE'
+            THEN si.quantity * si.average_cost
+            ELSE (
+              SELECT SUM(cl.quantity_remaining * cl.unit_cost)
+              FROM cost_layer cl
+              WHERE cl.store_inventory_id = si.id AND cl.quantity_remaining > 0
+            )
+          END`;
+
+// Lifecycle statuses that block a movement type: discontinued and archived products
+// take no new stock, draft and archived products cannot be sold
+const MOVEMENT_BLOCKED_STATUSES = {
+    STOCK_IN: ['DISCONTINUED', 'ARCHIVED'],
+    SALE: ['DRAFT', 'ARCHIVED']
+};
+
+/**
+ * Stock posting shared by every flow that moves inventory.
+ * All methods take a transaction client from db.transaction() and expect
+ * to run inside that transaction.
+ */
+export const StockService = {
+    /**
+     * Throw HttpError(409) if the product's lifecycle status does not allow the movement type
+     * (also used for purchase orders, as stock-in, and reservations, as sales)
+     */
+    assertMovementAllowed(product, type) {
+        if ((MOVEMENT_BLOCKED_STATUSES[type] || []).includes(product.status)) {
+            throw new HttpError(409, `Product ${product.sku || product.id} is ${product.status.toLowerCase()}; ${type === 'SALE' ? 'it cannot be sold' : 'it cannot be restocked'}`, {
+                product_id: product.id,
+                status: product.status
+            });
+        }
+    },
+
+    /**
+     * Throw HttpError(409) for a closed store (one loaded with its is_closed flag)
+     */
+    assertStoreOpen(store) {
+        if (store.is_closed) {
+            throw new HttpError(409, `Store ${store.name} is closed; it takes no new stock movements`, {
+                store_id: store.id,
+                closing_date: store.closing_date
+            });
+        }
+    },
+
+    /**
+     * Create a zero-quantity inventory record for a store/product if none exists.
+     * A new record takes the given price, or the price of the same product in
+     * priceFromStoreId (used by transfers to carry the source store's price).
+     */
+    async ensureInventoryRecord(client, storeId, productId, basePrice, priceFromStoreId = null) {
+        await client.query(
+            `INSERT INTO store_inventory (store_id, product_id, quantity, price)
+       VALUES ($1, $2, 0, COALESCE(
+         (SELECT price FROM store_inventory WHERE store_id = $4 AND product_id = $2),
+         $3
+       ))
+       ON CONFLICT (store_id, product_id) DO NOTHING`,
+            [storeId, productId, basePrice, priceFromStoreId]
+        );
+    },
+
+    /**
+     * Lock the inventory records of a product in the given stores (SELECT ... FOR UPDATE).
+     * Rows are always locked in store order so two transfers running in opposite
+     * directions between the same stores cannot deadlock.
+     * Returns a Map of store ID to the locked inventory row.
+     */
+    async lockInventoryRecords(client, productId, storeIds) {
+        const result = await client.query(
+            `SELECT * FROM store_inventory
+       WHERE product_id = $1 AND store_id = ANY($2::int[])
+       ORDER BY store_id
+       FOR UPDATE`,
+            [productId, storeIds.map(id => parseInt(id))]
+        );
+
+        return new Map(result.rows.map(row => [row.store_id, row]));
+    },
+
+    /**
+     * Add received quantity to a lot of an inventory record.
+     * A lot with the same lot number and expiry date is topped up,
+     * otherwise a new lot is created.
+     */
+    async receiveLot(client, inventoryId, quantity, { lotNumber, expiryDate, receivedDate } = {}) {
+        if (lotNumber) {
+            const existing = await client.query(
+                `UPDATE stock_lot
+         SET quantity = quantity + $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = (
+           SELECT id FROM stock_lot
+           WHERE store_inventory_id = $2
+             AND lot_number = $3
+             AND expiry_date IS NOT DISTINCT FROM $4::date
+           ORDER BY id
+           LIMIT 1
+         )
+         RETURNING *`,
+                [quantity, inventoryId, lotNumber, expiryDate || null]
+            );
+
+            if (existing.rows.length > 0) {
+                return existing.rows[0];
+            }
+        }
+
+        const result = await client.query(
+            `INSERT INTO stock_lot
+       (store_inventory_id, lot_number, expiry_date, received_date, quantity)
+       VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5)
+       RETURNING *`,
+            [inventoryId, lotNumber || null, expiryDate || null, receivedDate || null, quantity]
+        );
+
+        return result.rows[0];
+    },
+
+    /**
+     * Take quantity out of an inventory record's lots, first-expiring-first-out.
+     * Lots without an expiry date are consumed last.
+     * Returns the allocations: one entry per lot touched.
+     */
+    async consumeLots(client, inventoryId, quantity) {
+        const lots = await client.query(
+            `SELECT * FROM stock_lot
+       WHERE store_inventory_id = $1 AND quantity > 0
+       ORDER BY expiry_date ASC NULLS LAST, received_date, id
+       FOR UPDATE`,
+            [inventoryId]
+        );
+
+        const allocations = [];
+        let remaining = quantity;
+
+        for (const lot of lots.rows) {
+            if (remaining === 0) break;
+
+            const taken = Math.min(lot.quantity, remaining);
+            await client.query(
+                'UPDATE stock_lot SET quantity = quantity - $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [taken, lot.id]
+            );
+
+            allocations.push({
+                lot_id: lot.id,
+                lot_number: lot.lot_number,
+                expiry_date: lot.expiry_date,
+                quantity: taken
+            });
+            remaining -= taken;
+        }
+
+        if (remaining > 0) {
+            throw new HttpError(409, 'Stock lots do not cover the inventory quantity', {
+                inventory_id: inventoryId,
+                missing: remaining
+            });
+        }
+
+        return allocations;
+    },
+
+    /**
+     * Record which lots a stock movement touched
+     */
+    async recordMovementLots(client, movementId, allocations) {
+        for (const allocation of allocations) {
+            await client.query(
+                `INSERT INTO stock_movement_lot (stock_movement_id, stock_lot_id, quantity)
+         VALUES ($1, $2, $3)`,
+                [movementId, allocation.lot_id, allocation.quantity]
+            );
+        }
+    },
+
+    /**
+     * Add a cost layer for received stock and fold its cost into the running
+     * weighted-average cost. inventory is the locked row as it was before the receipt.
+     * A null unit cost records the layer at an unknown cost and leaves the average alone.
+     */
+    async receiveCost(client, inventory, quantity, unitCost, movementId) {
+        await client.query(
+            `INSERT INTO cost_layer
+       (store_inventory_id, stock_movement_id, unit_cost, quantity_received, quantity_remaining)
+       VALUES ($1, $2, $3, $4, $4)`,
+            [inventory.id, movementId, unitCost, quantity]
+        );
+
+        if (unitCost === null || unitCost === undefined) return;
+
+        const onHand = Math.max(inventory.quantity, 0);
+        const averageCost = inventory.average_cost === null || onHand === 0
+            ? unitCost
+            : (onHand * parseFloat(inventory.average_cost) + quantity * unitCost) / (onHand + quantity);
+
+        await client.query(
+            'UPDATE store_inventory SET average_cost = $1 WHERE id = $2',
+            [averageCost, inventory.id]
+        );
+    },
+
+    /**
+     * Take quantity out of an inventory record's cost layers, oldest first, and
+     * return its cost by the store's costing method (FIFO layer cost, or quantity
+     * times the weighted-average cost). Layers are used up the same way under both
+     * methods so the store can switch method without rebuilding them.
+     * Units from layers of unknown cost add nothing; the cost is null if none is known.
+     */
+    async consumeCost(client, inventory, quantity) {
+        const storeResult = await client.query(
+            'SELECT costing_method FROM store WHERE id = $1',
+            [inventory.store_id]
+        );
+
+        const layers = await client.query(
+            `SELECT * FROM cost_layer
+       WHERE store_inventory_id = $1 AND quantity_remaining > 0
+       ORDER BY received_at, id
+       FOR UPDATE`,
+            [inventory.id]
+        );
+
+        let remaining = quantity;
+        let fifoCost = null;
+
+        for (const layer of layers.rows) {
+            if (remaining === 0) break;
+
+            const taken = Math.min(layer.quantity_remaining, remaining);
+            await client.query(
+                'UPDATE cost_layer SET quantity_remaining = quantity_remaining - $1 WHERE id = $2',
+                [taken, layer.id]
+            );
+
+            if (layer.unit_cost !== null) {
+                fifoCost = (fifoCost || 0) + taken * parseFloat(layer.unit_cost);
+            }
+            remaining -= taken;
+        }
+
+        if (remaining > 0) {
+            throw new HttpError(409, 'Cost layers do not cover the inventory quantity', {
+                inventory_id: inventory.id,
+                missing: remaining
+            });
+        }
+
+        let totalCost = fifoCost;
+        if (storeResult.rows[0].costing_method === 'AVERAGE') {
+            totalCost = inventory.average_cost !== null ? quantity * parseFloat(inventory.average_cost) : null;
+        }
+
+        return {
+            unitCost: totalCost !== null ? totalCost / quantity : null,
+            totalCost: totalCost !== null ? parseFloat(totalCost.toFixed(2)) : null
+        };
+    },
+
+    /**
+     * Correct the quantity of a locked inventory record by a signed change.
+     * Posts a STOCK_IN (found stock, kept as an untracked lot at the average cost)
+     * or a REMOVAL (missing stock, taken FEFO and costed like any outgoing movement).
+     * Reservations do not block a correction, a closed store does. Returns the movement and the new quantity.
+     */
+    async postAdjustment(client, inventory, change, { referenceId = null, notes } = {}) {
+        const storeCheck = await client.query(
+            'SELECT *, closing_date <= CURRENT_DATE as is_closed FROM store WHERE id = $1',
+            [inventory.store_id]
+        );
+        this.assertStoreOpen(storeCheck.rows[0]);
+
+        const quantity = Math.abs(change);
+        const cost = change > 0
+            ? costOfReceipt(quantity, inventory.average_cost !== null ? parseFloat(inventory.average_cost) : null)
+            : await this.consumeCost(client, inventory, quantity);
+
+        const movementResult = await client.query(
+            `INSERT INTO stock_movement
+       (store_id, product_id, quantity, type, reference_id, notes, unit_cost, total_cost, unit_price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+         COALESCE($9, (SELECT base_price FROM product_catalog WHERE id = $2)))
+       RETURNING *`,
+            [
+                inventory.store_id,
+                inventory.product_id,
+                quantity,
+                change > 0 ? 'STOCK_IN' : 'REMOVAL',
+                referenceId,
+                notes,
+                cost.unitCost,
+                cost.totalCost,
+                inventory.price
+            ]
+        );
+        const movement = movementResult.rows[0];
+
+        if (change > 0) {
+            await this.receiveCost(client, inventory, quantity, cost.unitCost, movement.id);
+        }
+
+        const inventoryResult = await client.query(
+            `UPDATE store_inventory
+       SET quantity = quantity + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING quantity`,
+            [change, inventory.id]
+        );
+
+        let lots;
+        if (change > 0) {
+            const received = await this.receiveLot(client, inventory.id, change);
+            lots = [{ lot_id: received.id, quantity: change }];
+        } else {
+            lots = await this.consumeLots(client, inventory.id, -change);
+        }
+
+        await this.recordMovementLots(client, movement.id, lots);
+
+        return {
+            movement,
+            newQuantity: inventoryResult.rows[0].quantity
+        };
+    },
+
+    /**
+     * Get the quantity held by active, unexpired reservations for a store/product
+     */
+    async getReservedQuantity(client, storeId, productId) {
+        const result = await client.query(
+            `SELECT COALESCE(SUM(quantity), 0)::int as reserved
+       FROM stock_reservation
+       WHERE store_id = $1 AND product_id = $2
+         AND status = 'ACTIVE' AND expires_at > CURRENT_TIMESTAMP`,
+            [storeId, productId]
+        );
+
+        return result.rows[0].reserved;
+    },
+
+    /**
+     * Lock an active, unexpired reservation for the given store/product
+     */
+    async findActiveReservation(client, reservationId, storeId, productId) {
+        const result = await client.query(
+            'SELECT * FROM stock_reservation WHERE id = $1 FOR UPDATE',
+            [reservationId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'Reservation not found');
+        }
+
+        const reservation = result.rows[0];
+
+        if (reservation.store_id !== parseInt(storeId) || reservation.product_id !== parseInt(productId)) {
+            throw new HttpError(400, 'Reservation is for a different store or product');
+        }
+
+        if (reservation.status !== 'ACTIVE' || new Date(reservation.expires_at) <= new Date()) {
+            throw new HttpError(409, 'Reservation is no longer active', {
+                status: reservation.status === 'ACTIVE' ? 'EXPIRED' : reservation.status
+            });
+        }
+
+        return reservation;
+    },
+
+    /**
+     * Reserve available stock for an order until expiresAt.
+     * Throws HttpError when less than the requested quantity is available.
+     */
+    async reserveStock(client, { storeId, productId, quantity, orderReference, expiresAt, notes, userId }) {
+        const lockedInventory = await this.lockInventoryRecords(client, productId, [storeId]);
+        const inventory = lockedInventory.get(parseInt(storeId));
+        const onHand = inventory ? inventory.quantity : 0;
+        const reserved = await this.getReservedQuantity(client, storeId, productId);
+
+        if (onHand - reserved < quantity) {
+            throw new HttpError(400, 'Insufficient stock', {
+                available: onHand - reserved,
+                on_hand: onHand,
+                reserved,
+                requested: quantity
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO stock_reservation
+       (store_id, product_id, quantity, order_reference, expires_at, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+            [storeId, productId, quantity, orderReference, expiresAt, notes, userId || null]
+        );
+
+        return result.rows[0];
+    },
+
+    /**
+     * Mark reservations past their expiry as EXPIRED. Returns the number released.
+     * (Expired reservations already stop counting as reserved; this keeps their status honest.)
+     */
+    async releaseExpiredReservations(client) {
+        const result = await client.query(
+            `UPDATE stock_reservation
+       SET status = 'EXPIRED', released_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'ACTIVE' AND expires_at <= CURRENT_TIMESTAMP`
+        );
+
+        return result.rowCount;
+    },
+
+    /**
+     * Convert a quantity given in one of a product's units to its base unit.
+     * Returns the base quantity plus the entered unit and quantity to keep on the
+     * movement (both null when the quantity was already in the base unit).
+     */
+    async toBaseQuantity(client, productId, quantity, unit = null) {
+        const productResult = await client.query(
+            'SELECT base_unit FROM product_catalog WHERE id = $1',
+            [productId]
+        );
+        const baseUnit = productResult.rows[0]?.base_unit;
+
+        if (!unit || unit === baseUnit) {
+            return { quantity, enteredUnit: null, enteredQuantity: null };
+        }
+
+        const unitResult = await client.query(
+            'SELECT unit, factor FROM product_unit WHERE product_id = $1 ORDER BY factor',
+            [productId]
+        );
+        const match = unitResult.rows.find(row => row.unit === unit);
+
+        if (!match) {
+            throw new HttpError(400, `Unit ${unit} is not configured for this product`, {
+                base_unit: baseUnit,
+                units: unitResult.rows
+            });
+        }
+
+        return { quantity: quantity * match.factor, enteredUnit: unit, enteredQuantity: quantity };
+    },
+
+    /**
+     * Post a stock movement (stock-in, sale, removal, transfer) and update inventory and lots.
+     * Throws HttpError for missing stores/products and insufficient stock.
+     */
+    async postMovement(client, {
+        storeId,
+        productId,
+        quantity,
+        type,
+        referenceId,
+        notes,
+        destinationStoreId, // For instant transfers; omitted when the stock ships in transit
+        lot = {}, // For stock-in only: lotNumber, expiryDate, receivedDate
+        splitLots = null, // For stock-in spread over several lots: [{ lotNumber, expiryDate, quantity }]
+        reservationId = null, // Reservation an outgoing movement fulfils
+        transferReceipt = false, // Stock-in of stock shipped by a transfer, allowed for discontinued products
+        unit = null, // Unit the quantity is given in; defaults to the product's base unit
+        unitCost = null, // For stock-in only, per base unit; defaults to the current average cost
+        unitPrice = null, // Price per base unit at the time; defaults to the store's current price
+        discount = 0 // Total discount given on the movement (sales)
+    }) {
+        // Check if product exists
+        const productCheck = await client.query(
+            'SELECT * FROM product_catalog WHERE id = $1',
+            [productId]
+        );
+
+        if (productCheck.rows.length === 0) {
+            throw new HttpError(404, 'Product not found');
+        }
+
+        // A parent product's stock is held by its variants
+        if (productCheck.rows[0].variant_attributes) {
+            throw new HttpError(400, 'Product has variants; stock movements must name a variant');
+        }
+
+        // Moving stock between stores is not restocking
+        if (!transferReceipt) {
+            this.assertMovementAllowed(productCheck.rows[0], type);
+        }
+
+        // Everything below works in base units; the entered unit is kept for display
+        const entered = await this.toBaseQuantity(client, productId, quantity, unit);
+        quantity = entered.quantity;
+
+        // Check if store exists and is still open
+        const storeCheck = await client.query(
+            'SELECT *, closing_date <= CURRENT_DATE as is_closed FROM store WHERE id = $1',
+            [storeId]
+        );
+
+        if (storeCheck.rows.length === 0) {
+            throw new HttpError(404, 'Store not found');
+        }
+
+        this.assertStoreOpen(storeCheck.rows[0]);
+
+        // For instant transfers, check destination store
+        const instantTransfer = type === 'TRANSFER' && Boolean(destinationStoreId);
+        if (instantTransfer) {
+            const destStoreCheck = await client.query(
+                'SELECT *, closing_date <= CURRENT_DATE as is_closed FROM store WHERE id = $1',
+                [destinationStoreId]
+            );
+
+            if (destStoreCheck.rows.length === 0) {
+                throw new HttpError(404, 'Destination store not found');
+            }
+
+            this.assertStoreOpen(destStoreCheck.rows[0]);
+        }
+
+        // Make sure inventory records exist, then lock them for the rest of the transaction
+        const basePrice = productCheck.rows[0].base_price;
+        await this.ensureInventoryRecord(client, storeId, productId, basePrice);
+
+        if (instantTransfer) {
+            await this.ensureInventoryRecord(client, destinationStoreId, productId, basePrice, storeId);
+        }
+
+        const lockedInventory = await this.lockInventoryRecords(
+            client,
+            productId,
+            instantTransfer ? [storeId, destinationStoreId] : [storeId]
+        );
+
+        const sourceInventory = lockedInventory.get(parseInt(storeId));
+
+        const outgoing = ['SALE', 'REMOVAL', 'TRANSFER'].includes(type);
+
+        // A fulfilled reservation hands its stock to this movement
+        let reservation = null;
+        if (reservationId) {
+            if (!outgoing) {
+                throw new HttpError(400, 'Only outgoing movements can fulfil a reservation');
+            }
+            reservation = await this.findActiveReservation(client, reservationId, storeId, productId);
+        }
+
+        // For outgoing movements, check if enough stock is available (on hand minus reserved)
+        if (outgoing) {
+            const reserved = await this.getReservedQuantity(client, storeId, productId);
+            const available = sourceInventory.quantity - reserved + (reservation ? reservation.quantity : 0);
+
+            if (available < quantity) {
+                throw new HttpError(400, 'Insufficient stock', {
+                    available,
+                    on_hand: sourceInventory.quantity,
+                    reserved,
+                    requested: quantity
+                });
+            }
+        }
+
+        // Stock-in is costed at its unit cost, outgoing stock by the store's costing method
+        const cost = type === 'STOCK_IN'
+            ? costOfReceipt(quantity, unitCost ?? (sourceInventory.average_cost !== null ? parseFloat(sourceInventory.average_cost) : null))
+            : await this.consumeCost(client, sourceInventory, quantity);
+
+        const price = unitPrice ?? parseFloat(sourceInventory.price ?? basePrice);
+        if (discount && discount > quantity * price) {
+            throw new HttpError(400, 'Discount cannot exceed the movement value', {
+                value: parseFloat((quantity * price).toFixed(2)),
+                discount
+            });
+        }
+
+        // Create stock movement record, priced as of now
+        const movementResult = await client.query(
+            `INSERT INTO stock_movement
+       (store_id, product_id, quantity, type, reference_id, notes, unit_cost, total_cost, unit_price, discount_amount,
+        entered_unit, entered_quantity)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+            [
+                storeId,
+                productId,
+                quantity,
+                type,
+                referenceId,
+                notes,
+                cost.unitCost,
+                cost.totalCost,
+                price,
+                discount || 0,
+                entered.enteredUnit,
+                entered.enteredQuantity
+            ]
+        );
+        const movement = movementResult.rows[0];
+
+        if (type === 'STOCK_IN') {
+            await this.receiveCost(client, sourceInventory, quantity, cost.unitCost, movement.id);
+        }
+
+        if (reservation) {
+            await client.query(
+                `UPDATE stock_reservation
+         SET status = 'FULFILLED', stock_movement_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+                [movement.id, reservation.id]
+            );
+        }
+
+        // Update source store inventory
+        const sourceResult = await client.query(
+            `UPDATE store_inventory
+       SET quantity = quantity + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING quantity`,
+            [type === 'STOCK_IN' ? quantity : -quantity, sourceInventory.id]
+        );
+
+        // Stock-in creates lots, everything else consumes lots FEFO
+        let lots;
+        if (type === 'STOCK_IN') {
+            lots = [];
+            for (const entry of splitLots || [{ ...lot, quantity }]) {
+                const received = await this.receiveLot(client, sourceInventory.id, entry.quantity, entry);
+                lots.push({
+                    lot_id: received.id,
+                    lot_number: received.lot_number,
+                    expiry_date: received.expiry_date,
+                    quantity: entry.quantity
+                });
+            }
+        } else {
+            lots = await this.consumeLots(client, sourceInventory.id, quantity);
+        }
+
+        await this.recordMovementLots(client, movement.id, lots);
+
+        // For instant transfers, update destination store inventory
+        if (instantTransfer) {
+            const destInventory = lockedInventory.get(parseInt(destinationStoreId));
+
+            await client.query(
+                `UPDATE store_inventory
+         SET quantity = quantity + $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+                [quantity, destInventory.id]
+            );
+
+            // Create complementary movement record for destination, at the cost the stock left with
+            const destMovement = await client.query(
+                `INSERT INTO stock_movement
+         (store_id, product_id, quantity, type, reference_id, notes, unit_cost, total_cost, unit_price,
+          entered_unit, entered_quantity)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING id`,
+                [
+                    destinationStoreId,
+                    productId,
+                    quantity,
+                    'STOCK_IN',
+                    referenceId || movement.id.toString(),
+                    `Transfer from Store #${storeId} - ${notes || ''}`,
+                    cost.unitCost,
+                    cost.totalCost,
+                    destInventory.price ?? basePrice,
+                    entered.enteredUnit,
+                    entered.enteredQuantity
+                ]
+            );
+
+            await this.receiveCost(client, destInventory, quantity, cost.unitCost, destMovement.rows[0].id);
+
+            // Lots keep their number and expiry date at the destination store
+            const destLots = [];
+            for (const allocation of lots) {
+                const received = await this.receiveLot(client, destInventory.id, allocation.quantity, {
+                    lotNumber: allocation.lot_number,
+                    expiryDate: allocation.expiry_date
+                });
+                destLots.push({ lot_id: received.id, quantity: allocation.quantity });
+            }
+
+            await this.recordMovementLots(client, destMovement.rows[0].id, destLots);
+        }
+
+        return {
+            movement: { ...movement, lots },
+            newSourceQuantity: sourceResult.rows[0].quantity
+        };
+    }
+};
+
+/**
+ * Unit and total cost of received stock (both null when the unit cost is unknown)
+ */
+function costOfReceipt(quantity, unitCost) {
+    if (unitCost === null || unitCost === undefined) {
+        return { unitCost: null, totalCost: null };
+    }
+
+    return {
+        unitCost: parseFloat(unitCost),
+        totalCost: parseFloat((quantity * unitCost).toFixed(2))
+    };
+}
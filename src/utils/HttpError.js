@@ -0,0 +1,13 @@
+/**
+ * Error carrying an HTTP status code and optional extra response fields.
+ * Thrown from inside db.transaction() callbacks so the transaction rolls
+ * back before the error handler in app.js sends the response.
+ */
+export class HttpError extends Error {
+    constructor(statusCode, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
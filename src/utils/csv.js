@@ -0,0 +1,66 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ * into an array of rows, each an array of field strings. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            field = '';
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    if (row.some(value => value !== '')) rows.push(row);
+
+    return rows;
+}
+
+// Leading characters that make a spreadsheet read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+/**
+ * Format one CSV line (with trailing CRLF), quoting fields that contain
+ * commas, quotes or line breaks. Null and undefined become empty fields.
+ * Text that a spreadsheet would run as a formula is prefixed with ' so it stays
+ * text (numbers, including negative ones, are left alone).
+ */
+export function formatCsvRow(values) {
+    return values.map(value => {
+        let field = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(field) && !PLAIN_NUMBER.test(field)) {
+            field = `'${field}`;
+        }
+        return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    }).join(',') + '\r\n';
+}
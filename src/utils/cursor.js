@@ -0,0 +1,29 @@
+import { HttpError } from './HttpError.js';
+
+/**
+ * Encode a keyset position (e.g. { createdAt, id } of the last row served) as an
+ * opaque, URL-safe cursor. Clients pass it back unchanged to get the next page.
+ */
+export function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor, checking it carries the expected keys.
+ * Throws HttpError(400) for a malformed cursor.
+ */
+export function decodeCursor(cursor, keys) {
+    let position;
+
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        position = null;
+    }
+
+    if (!position || typeof position !== 'object' || keys.some(key => position[key] === undefined || position[key] === null)) {
+        throw new HttpError(400, 'Invalid pagination cursor');
+    }
+
+    return position;
+}
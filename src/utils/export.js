@@ -0,0 +1,172 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { HttpError } from './HttpError.js';
+import { formatCsvRow } from './csv.js';
+
+const CONTENT_TYPES = {
+    json: 'application/json',
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+export const EXPORT_FORMATS = Object.keys(CONTENT_TYPES);
+
+/**
+ * Pick the response format for a report: an explicit ?format= wins,
+ * otherwise the Accept header is negotiated. Defaults to JSON.
+ */
+export function getExportFormat(req) {
+    const { format } = req.query;
+
+    if (format !== undefined) {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new HttpError(400, `Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+        }
+        return format;
+    }
+
+    const accepted = req.accepts(Object.values(CONTENT_TYPES));
+    return EXPORT_FORMATS.find(key => CONTENT_TYPES[key] === accepted) || 'json';
+}
+
+/**
+ * Send rows (plain objects) as a CSV attachment; the header comes from the first row's keys
+ */
+export function sendCsv(res, filename, rows) {
+    setAttachmentHeaders(res, 'csv', filename);
+
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    let body = columns.length > 0 ? formatCsvRow(columns) : '';
+
+    rows.forEach(row => {
+        body += formatCsvRow(columns.map(column => toCell(row[column])));
+    });
+
+    res.send(body);
+}
+
+/**
+ * Send a workbook with one worksheet per { name, rows } entry as an XLSX attachment
+ */
+export async function sendWorkbook(res, filename, sheets) {
+    const workbook = new ExcelJS.Workbook();
+
+    sheets.forEach(({ name, rows }) => {
+        const worksheet = workbook.addWorksheet(name);
+
+        if (rows.length > 0) {
+            worksheet.columns = sheetColumns(rows[0]);
+            rows.forEach(row => worksheet.addRow(toSheetRow(row)));
+        }
+    });
+
+    setAttachmentHeaders(res, 'xlsx', filename);
+    await workbook.xlsx.write(res);
+    res.end();
+}
+
+/**
+ * Send a report as CSV (the one section named by `section`) or as an XLSX workbook
+ * with a sheet per section. `sheets` maps report keys to worksheet names; a section
+ * may be an array of rows or a single object, which becomes a one-row sheet.
+ */
+export async function sendReport(res, format, filename, report, sheets, section) {
+    if (format === 'csv') {
+        if (!sheets[section]) {
+            throw new HttpError(400, `Section must be one of: ${Object.keys(sheets).join(', ')}`);
+        }
+        return sendCsv(res, `${filename}-${section.replace(/_/g, '-')}`, asRows(report[section]));
+    }
+
+    await sendWorkbook(res, filename, Object.entries(sheets).map(([key, name]) => ({
+        name,
+        rows: asRows(report[key])
+    })));
+}
+
+/**
+ * Stream rows to a CSV or single-sheet XLSX attachment without holding them all in memory.
+ * `batches` is an async iterable yielding arrays of rows; columns come from the first row.
+ */
+export async function streamExport(res, format, filename, sheetName, batches) {
+    setAttachmentHeaders(res, format, filename);
+
+    if (format === 'csv') {
+        let columns = null;
+
+        for await (const rows of batches) {
+            for (const row of rows) {
+                let line = '';
+
+                if (!columns) {
+                    columns = Object.keys(row);
+                    line += formatCsvRow(columns);
+                }
+
+                line += formatCsvRow(columns.map(column => toCell(row[column])));
+
+                // Respect backpressure from slow clients
+                if (!res.write(line)) {
+                    await once(res, 'drain');
+                }
+            }
+        }
+
+        res.end();
+        return;
+    }
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const worksheet = workbook.addWorksheet(sheetName);
+    let hasColumns = false;
+
+    for await (const rows of batches) {
+        for (const row of rows) {
+            if (!hasColumns) {
+                worksheet.columns = sheetColumns(row);
+                hasColumns = true;
+            }
+
+            worksheet.addRow(toSheetRow(row)).commit();
+        }
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+}
+
+function asRows(section) {
+    return Array.isArray(section) ? section : [section];
+}
+
+function setAttachmentHeaders(res, format, filename) {
+    res.setHeader('Content-Type', format === 'csv' ? `${CONTENT_TYPES.csv}; charset=utf-8` : CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+}
+
+function sheetColumns(row) {
+    return Object.keys(row).map(key => ({ header: key, key, width: Math.max(key.length + 2, 12) }));
+}
+
+function toSheetRow(row) {
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toSheetCell(value)]));
+}
+
+/**
+ * Flatten a value for CSV: dates as ISO strings, nested arrays/objects as JSON
+ */
+function toCell(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Like toCell, but keeps dates and NUMERIC strings from pg typed for spreadsheets
+ * (values with leading zeros, such as SKUs, stay text)
+ */
+function toSheetCell(value) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'string' && /^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return parseFloat(value);
+    return toCell(value);
+}
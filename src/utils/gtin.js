@@ -0,0 +1,32 @@
+// GTIN-8, UPC-A (GTIN-12), EAN-13 and GTIN-14 lengths
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/**
+ * Validate a scanned GTIN (EAN-8, UPC-A, EAN-13 or GTIN-14) by its check digit and
+ * return it zero-padded to 14 digits, so one code has one form however it was printed.
+ * Returns null when the code is not a valid GTIN.
+ */
+export function normalizeGtin(code) {
+    const digits = String(code ?? '').trim();
+
+    if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.includes(digits.length)) {
+        return null;
+    }
+
+    const gtin = digits.padStart(14, '0');
+    return checkDigit(gtin.slice(0, 13)) === parseInt(gtin[13]) ? gtin : null;
+}
+
+/**
+ * GS1 mod-10 check digit: weights 3 and 1 alternate from the rightmost data digit
+ */
+function checkDigit(data) {
+    let sum = 0;
+
+    for (let i = 0; i < data.length; i++) {
+        const weight = (data.length - i) % 2 === 1 ? 3 : 1;
+        sum += parseInt(data[i]) * weight;
+    }
+
+    return (10 - (sum % 10)) % 10;
+}
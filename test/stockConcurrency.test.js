@@ -0,0 +1,206 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'fs/promises';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import EmbeddedPostgres from 'embedded-postgres';
+
+/**
+ * Parallel sales and transfers against one inventory row must never oversell.
+ * Runs against a throwaway PostgreSQL server, since only real row locks across
+ * concurrent connections prove the FOR UPDATE locking in StockService.postMovement.
+ */
+
+const INITIAL_STOCK = 50;
+const SALES = 40; // of SALE_QUANTITY each
+const TRANSFERS = 20; // of TRANSFER_QUANTITY each, to the second store
+const SALE_QUANTITY = 2;
+const TRANSFER_QUANTITY = 3;
+
+// Longest wait for the server to start and the schema to migrate
+const STARTUP_TIMEOUT_MS = 120000;
+
+let server;
+let dataDir;
+let db;
+let StockService;
+let sourceStoreId;
+let destinationStoreId;
+let productId;
+
+/**
+ * Reject if the promise has not settled within ms. The pending timer also keeps the event
+ * loop alive: embedded-postgres exits the process with status 0 once the loop drains, so a
+ * server that never starts would otherwise end the run before the failure is reported.
+ */
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not finish within ${ms / 1000}s`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Find a free local port for the test server
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+before(async () => {
+    // Postgres refuses to run as root; fail loudly instead of creating system users
+    if (process.getuid?.() === 0) {
+        throw new Error('The stock concurrency test starts a PostgreSQL server, which cannot run as root; run npm test as a regular user');
+    }
+
+    const port = await getFreePort();
+    dataDir = join(tmpdir(), `inventory-test-${process.pid}-${port}`);
+
+    server = new EmbeddedPostgres({
+        databaseDir: dataDir,
+        user: 'postgres',
+        password: 'postgres',
+        port,
+        persistent: false,
+        onLog: () => {}
+    });
+
+    await withTimeout((async () => {
+        await server.initialise();
+        await server.start();
+        await server.createDatabase('inventory_tracking_system');
+    })(), STARTUP_TIMEOUT_MS, 'Starting the test PostgreSQL server');
+
+    // The pool reads its connection settings when the module loads
+    process.env.DB_HOST = 'localhost';
+    process.env.DB_port = String(port);
+    process.env.DB_PASSWORD = 'postgres';
+
+    ({ db } = await import('../src/config/database.js'));
+    ({ StockService } = await import('../src/services/StockService.js'));
+    const { migrator } = await import('../src/config/migrator.js');
+
+    await withTimeout(migrator.up(), STARTUP_TIMEOUT_MS, 'Migrating the test database');
+
+    const stores = await db.query(`INSERT INTO store (name) VALUES ('Source'), ('Destination') RETURNING id`);
+    [sourceStoreId, destinationStoreId] = stores.rows.map(store => store.id);
+
+    const product = await db.query(
+        `INSERT INTO product_catalog (name, sku, base_price) VALUES ('Widget', 'WIDGET-1', 5) RETURNING id`
+    );
+    productId = product.rows[0].id;
+
+    await db.transaction(client => StockService.postMovement(client, {
+        storeId: sourceStoreId,
+        productId,
+        quantity: INITIAL_STOCK,
+        type: 'STOCK_IN',
+        unitCost: 2
+    }));
+});
+
+after(async () => {
+    await db?.end();
+    await server?.stop();
+    if (dataDir) {
+        await rm(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('parallel sales and transfers cannot oversell one inventory row', async () => {
+    // Never pass without having run against the database
+    assert.ok(db && productId, 'the test database was not set up');
+    const stock = await db.query('SELECT quantity FROM store_inventory WHERE store_id = $1 AND product_id = $2', [sourceStoreId, productId]);
+    assert.equal(stock.rows[0]?.quantity, INITIAL_STOCK);
+
+    // Interleave the two kinds so sales and transfers contend for the row at the same time
+    const requests = [];
+    for (let i = 0; i < Math.max(SALES, TRANSFERS); i++) {
+        if (i < SALES) {
+            requests.push({ type: 'SALE', quantity: SALE_QUANTITY, referenceId: `SALE-${i}` });
+        }
+        if (i < TRANSFERS) {
+            requests.push({ type: 'TRANSFER', quantity: TRANSFER_QUANTITY, referenceId: `TRANSFER-${i}`, destinationStoreId });
+        }
+    }
+
+    const results = await Promise.allSettled(requests.map(request =>
+        db.transaction(client => StockService.postMovement(client, {
+            storeId: sourceStoreId,
+            productId,
+            ...request
+        }))
+    ));
+
+    const served = requests.filter((_, i) => results[i].status === 'fulfilled');
+    const refused = requests.filter((_, i) => results[i].status === 'rejected');
+
+    // Demand exceeds the stock, so some requests must be refused - and only for lack of stock
+    assert.ok(served.length > 0, 'some movements should succeed');
+    assert.ok(refused.length > 0, 'demand exceeds stock, so some movements should be refused');
+    for (const result of results.filter(result => result.status === 'rejected')) {
+        assert.equal(result.reason.statusCode, 400, result.reason.message);
+        assert.equal(result.reason.message, 'Insufficient stock');
+    }
+
+    const servedQuantity = served.reduce((sum, request) => sum + request.quantity, 0);
+    const transferredQuantity = served
+        .filter(request => request.type === 'TRANSFER')
+        .reduce((sum, request) => sum + request.quantity, 0);
+
+    const inventory = await db.query(
+        'SELECT store_id, quantity FROM store_inventory WHERE product_id = $1',
+        [productId]
+    );
+    const quantities = new Map(inventory.rows.map(row => [row.store_id, row.quantity]));
+
+    // Every served movement was taken off exactly once, and stock never went negative
+    assert.equal(quantities.get(sourceStoreId), INITIAL_STOCK - servedQuantity);
+    assert.ok(quantities.get(sourceStoreId) >= 0);
+    assert.equal(quantities.get(destinationStoreId) ?? 0, transferredQuantity);
+
+    // Requests were only refused once the stock really ran out
+    const smallestRefused = Math.min(...refused.map(request => request.quantity));
+    assert.ok(quantities.get(sourceStoreId) < smallestRefused);
+
+    // The ledger holds one outgoing movement per served request, none twice
+    const movements = await db.query(
+        `SELECT reference_id, quantity FROM stock_movement
+     WHERE store_id = $1 AND product_id = $2 AND type IN ('SALE', 'TRANSFER')`,
+        [sourceStoreId, productId]
+    );
+    const references = movements.rows.map(movement => movement.reference_id);
+    assert.equal(new Set(references).size, references.length, 'no movement is recorded twice');
+    assert.deepEqual(references.sort(), served.map(request => request.referenceId).sort());
+    assert.equal(movements.rows.reduce((sum, movement) => sum + movement.quantity, 0), servedQuantity);
+
+    // Lots and cost layers were drawn down in step with the inventory row
+    const lots = await db.query(
+        `SELECT COALESCE(SUM(sl.quantity), 0)::int as quantity, COUNT(*) FILTER (WHERE sl.quantity < 0)::int as negative
+     FROM stock_lot sl
+     JOIN store_inventory si ON sl.store_inventory_id = si.id
+     WHERE si.store_id = $1 AND si.product_id = $2`,
+        [sourceStoreId, productId]
+    );
+    assert.equal(lots.rows[0].quantity, quantities.get(sourceStoreId));
+    assert.equal(lots.rows[0].negative, 0);
+
+    const layers = await db.query(
+        `SELECT COALESCE(SUM(cl.quantity_remaining), 0)::int as quantity
+     FROM cost_layer cl
+     JOIN store_inventory si ON cl.store_inventory_id = si.id
+     WHERE si.store_id = $1 AND si.product_id = $2`,
+        [sourceStoreId, productId]
+    );
+    assert.equal(layers.rows[0].quantity, quantities.get(sourceStoreId));
+});